@@ -0,0 +1,67 @@
+import * as vscode from 'vscode';
+
+// Public API returned from activate(). Other extensions get it with
+// vscode.extensions.getExtension<MilestoneManagerApi>('milestone-manager-dev.milestone-manager')?.activate()
+
+export const API_VERSION = 1;
+
+export interface MilestoneInfo {
+    hash: string;
+    // The milestone note
+    title: string;
+    description?: string;
+    labels: string[];
+    // YYYY-MM-DD
+    date: string;
+    time: string;
+    author?: string;
+    // Trigger that created an automatic milestone
+    auto?: string;
+    // Shared by milestones created in several repositories at once
+    group?: string;
+    // Ref of a checkpoint (storage mode "checkpoints"), which is not part of the branch history
+    checkpoint?: string;
+    // Result of the verification run before the milestone was created; duration in milliseconds
+    verification?: { passed: boolean; duration: number };
+}
+
+export interface CreateMilestoneOptions {
+    // Repository root; defaults to the repository of the active editor
+    repository?: string;
+    note?: string;
+    description?: string;
+    labels?: string[];
+    // Defaults to true when the push mode setting is "always". A failed push is queued and retried.
+    // In checkpoint storage mode it pushes the branch's checkpoints instead and defaults to checkpoints.push
+    push?: boolean;
+}
+
+export type RevertMode = 'reset' | 'branch' | 'revert' | 'files';
+
+export interface RevertMilestoneOptions {
+    hash: string;
+    // Repository root; defaults to the repository of the active editor
+    repository?: string;
+    // Asks the user when not given. Modes that rewrite history still ask for confirmation
+    mode?: RevertMode;
+}
+
+export interface MilestonesChangeEvent {
+    // Root of the repository whose milestones changed
+    repository: string;
+}
+
+export interface MilestoneManagerApi {
+    readonly version: number;
+    // Roots of the git repositories in the workspace
+    getRepositories(): Promise<string[]>;
+    // Milestones on the current branch of the repository, newest first
+    getMilestones(repository?: string): Promise<MilestoneInfo[]>;
+    // Creates a milestone without prompting. Ignored files are left out; the promise rejects when the
+    // pre-commit scan finds a problem, since nobody can review it. The verification setting is not run
+    createMilestone(options?: CreateMilestoneOptions): Promise<MilestoneInfo>;
+    // Rejects when the milestone cannot be restored, for example on a protected branch.
+    // Resolves without changes when the user cancels a prompt
+    revertToMilestone(options: RevertMilestoneOptions): Promise<void>;
+    readonly onDidChangeMilestones: vscode.Event<MilestonesChangeEvent>;
+}
@@ -0,0 +1,243 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { git } from './git';
+import { Milestone } from './milestoneCore';
+
+// Serves a file's content at the comparison baseline of its repository. The URI does not name the
+// milestone, so the gutter follows when the baseline changes instead of caching the old content
+const BASELINE_SCHEME = 'milestone-baseline';
+
+// What the change indicators need from the milestone manager
+export interface ChangeIndicatorHost {
+    getRepositories(): Promise<{ root: string; name: string }[]>;
+    // The milestone open files are compared with, the latest one unless the user picked another
+    getComparisonBaseline(workspacePath: string): Promise<Milestone | undefined>;
+}
+
+interface FileChange {
+    baseline: Milestone;
+    added: boolean;
+    // undefined for binary files
+    insertions?: number;
+    deletions?: number;
+}
+
+// Compares files with a milestone: a quick diff in the gutter, and a CodeLens at the top of files
+// that changed since it. Only saved content is compared, so results are cached until the next save
+export class ChangeIndicators implements vscode.Disposable, vscode.CodeLensProvider, vscode.TextDocumentContentProvider {
+    private readonly disposables: vscode.Disposable[] = [];
+    private readonly sourceControls: Map<string, vscode.SourceControl> = new Map();
+    private readonly baselines: Map<string, Promise<Milestone | undefined>> = new Map();
+    private readonly fileChanges: Map<string, Promise<FileChange | undefined>> = new Map();
+    private readonly codeLensesChanged = new vscode.EventEmitter<void>();
+    private readonly contentChanged = new vscode.EventEmitter<vscode.Uri>();
+    // Baseline documents VS Code has asked for, to tell it when their content changed
+    private readonly baselineUris: Map<string, vscode.Uri> = new Map();
+    private roots: string[] = [];
+
+    public readonly onDidChangeCodeLenses = this.codeLensesChanged.event;
+    public readonly onDidChange = this.contentChanged.event;
+
+    constructor(private readonly host: ChangeIndicatorHost) {
+        this.disposables.push(
+            this.codeLensesChanged,
+            this.contentChanged,
+            vscode.workspace.registerTextDocumentContentProvider(BASELINE_SCHEME, this),
+            vscode.languages.registerCodeLensProvider({ scheme: 'file' }, this),
+            vscode.workspace.onDidSaveTextDocument(document => {
+                this.fileChanges.delete(document.uri.fsPath);
+                this.codeLensesChanged.fire();
+            }),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('milestone-manager.changeIndicators')) {
+                    this.updateRepositories();
+                    this.codeLensesChanged.fire();
+                }
+            })
+        );
+        this.updateRepositories();
+    }
+
+    // Creates a source control per repository for its quick diff. It has no resources of its own
+    public async updateRepositories() {
+        try {
+            this.roots = (await this.host.getRepositories()).map(repository => repository.root);
+        } catch {
+            this.roots = [];
+        }
+
+        const enabled = this.getSetting('quickDiff');
+        for (const [root, sourceControl] of this.sourceControls) {
+            if (!enabled || !this.roots.includes(root)) {
+                sourceControl.dispose();
+                this.sourceControls.delete(root);
+            }
+        }
+        if (!enabled) {
+            return;
+        }
+        for (const root of this.roots) {
+            if (this.sourceControls.has(root)) {
+                continue;
+            }
+            const sourceControl = vscode.scm.createSourceControl('milestone-manager', 'Changes Since Milestone', vscode.Uri.file(root));
+            sourceControl.inputBox.visible = false;
+            sourceControl.quickDiffProvider = {
+                provideOriginalResource: uri => this.toBaselineUri(uri)
+            };
+            this.sourceControls.set(root, sourceControl);
+        }
+    }
+
+    // Forgets the baseline and the compared files of one repository, or of all of them
+    public refresh(workspacePath?: string) {
+        for (const key of [...this.baselines.keys()]) {
+            if (!workspacePath || key === workspacePath) {
+                this.baselines.delete(key);
+            }
+        }
+        for (const key of [...this.fileChanges.keys()]) {
+            if (!workspacePath || this.getRoot(key) === workspacePath) {
+                this.fileChanges.delete(key);
+            }
+        }
+        for (const uri of this.baselineUris.values()) {
+            if (!workspacePath || this.parseBaselineUri(uri).repo === workspacePath) {
+                this.contentChanged.fire(uri);
+            }
+        }
+        this.codeLensesChanged.fire();
+    }
+
+    public dispose() {
+        this.sourceControls.forEach(sourceControl => sourceControl.dispose());
+        this.sourceControls.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+
+    public async provideCodeLenses(document: vscode.TextDocument): Promise<vscode.CodeLens[]> {
+        if (!this.getSetting('codeLens')) {
+            return [];
+        }
+        const change = await this.getFileChange(document.uri);
+        if (!change) {
+            return [];
+        }
+
+        const { baseline } = change;
+        const counts = change.insertions === undefined ? '' : ` (+${change.insertions} -${change.deletions})`;
+        const title = change.added
+            ? `$(milestone) New since milestone '${baseline.message}'`
+            : `$(milestone) Changed since milestone '${baseline.message}'${counts}`;
+        return [new vscode.CodeLens(new vscode.Range(0, 0, 0, 0), {
+            title,
+            tooltip: `Compare with ${baseline.checkpoint ? 'checkpoint' : 'milestone'} ${baseline.hash.substring(0, 7)} from ${baseline.date} ${baseline.time}`,
+            command: 'milestone-manager.openChangesSinceMilestone',
+            arguments: [document.uri]
+        })];
+    }
+
+    public async provideTextDocumentContent(uri: vscode.Uri): Promise<string> {
+        this.baselineUris.set(uri.toString(), uri);
+        const { repo, file } = this.parseBaselineUri(uri);
+        const baseline = await this.getBaseline(repo);
+        if (!baseline) {
+            return '';
+        }
+        try {
+            const { stdout } = await git(['show', `${baseline.hash}:${file}`], { cwd: repo });
+            return stdout;
+        } catch {
+            // The file was added after the milestone
+            return '';
+        }
+    }
+
+    // Opens a diff of a file against the comparison baseline of its repository
+    public async openChanges(uri: vscode.Uri) {
+        const baselineUri = this.toBaselineUri(uri);
+        const baseline = baselineUri && await this.getBaseline(this.parseBaselineUri(baselineUri).repo);
+        if (!baselineUri || !baseline) {
+            vscode.window.showInformationMessage('There is no milestone to compare this file with');
+            return;
+        }
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            baselineUri,
+            uri,
+            `${path.basename(uri.fsPath)} (since '${baseline.message}')`
+        );
+    }
+
+    private getSetting(name: 'quickDiff' | 'codeLens'): boolean {
+        return vscode.workspace.getConfiguration('milestone-manager.changeIndicators').get<boolean>(name, true);
+    }
+
+    // Prefers the deepest repository, so files of nested repositories are not attributed to their parent
+    private getRoot(filePath: string): string | undefined {
+        const normalized = path.normalize(filePath);
+        return this.roots
+            .filter(root => normalized.startsWith(root + path.sep))
+            .sort((a, b) => b.length - a.length)[0];
+    }
+
+    private toBaselineUri(uri: vscode.Uri): vscode.Uri | undefined {
+        const repo = uri.scheme === 'file' ? this.getRoot(uri.fsPath) : undefined;
+        if (!repo) {
+            return undefined;
+        }
+        const file = path.relative(repo, uri.fsPath).split(path.sep).join('/');
+        return vscode.Uri.from({ scheme: BASELINE_SCHEME, path: '/' + file, query: JSON.stringify({ repo }) });
+    }
+
+    private parseBaselineUri(uri: vscode.Uri): { repo: string; file: string } {
+        const { repo } = JSON.parse(uri.query) as { repo: string };
+        return { repo, file: uri.path.replace(/^\//, '') };
+    }
+
+    private getBaseline(workspacePath: string): Promise<Milestone | undefined> {
+        let baseline = this.baselines.get(workspacePath);
+        if (!baseline) {
+            baseline = this.host.getComparisonBaseline(workspacePath).catch(() => undefined);
+            this.baselines.set(workspacePath, baseline);
+        }
+        return baseline;
+    }
+
+    private getFileChange(uri: vscode.Uri): Promise<FileChange | undefined> {
+        let change = this.fileChanges.get(uri.fsPath);
+        if (!change) {
+            change = this.compareFile(uri).catch(() => undefined);
+            this.fileChanges.set(uri.fsPath, change);
+        }
+        return change;
+    }
+
+    private async compareFile(uri: vscode.Uri): Promise<FileChange | undefined> {
+        const repo = this.getRoot(uri.fsPath);
+        if (!repo) {
+            return undefined;
+        }
+        const baseline = await this.getBaseline(repo);
+        if (!baseline) {
+            return undefined;
+        }
+
+        const pathspec = `:(literal)${path.relative(repo, uri.fsPath).split(path.sep).join('/')}`;
+        // --summary adds a "create mode" line when the file did not exist at the milestone
+        const { stdout } = await git(['diff', '--numstat', '--summary', baseline.hash, '--', pathspec], { cwd: repo });
+        if (stdout.trim()) {
+            const [insertions, deletions] = stdout.split('\t');
+            return {
+                baseline,
+                added: /^ create mode /m.test(stdout),
+                insertions: insertions === '-' ? undefined : Number(insertions),
+                deletions: deletions === '-' ? undefined : Number(deletions)
+            };
+        }
+
+        // git diff leaves untracked files out, even though they are new since the milestone
+        const { stdout: untracked } = await git(['ls-files', '--others', '--exclude-standard', '--', pathspec], { cwd: repo });
+        return untracked.trim() ? { baseline, added: true } : undefined;
+    }
+}
@@ -0,0 +1,500 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { git, setGitLogger } from './git';
+import { findIgnoreRule, loadIgnoreRules } from './ignoreRules';
+import {
+    MilestoneSettings,
+    REMOTE_TIMEOUT,
+    buildFinalizeMessage,
+    buildMilestoneMessage,
+    checkBranchPolicy,
+    commitMilestoneMessage,
+    createBackup,
+    detectBaseRef,
+    forceWithLeaseArg,
+    getBranchName,
+    getChangedFiles,
+    getMilestoneRange,
+    getParentRef,
+    groupMilestones,
+    isGitRepository,
+    listCheckpoints,
+    listMilestones,
+    parseBaseBranches,
+    pushCheckpoints,
+    readWorkspaceSettings,
+    restoreCheckpointFiles,
+    setCoreLogger,
+    snapshotWorkingTree,
+    unstageIgnoredFiles,
+    withWorkingTreeIndex,
+    writeCheckpoint,
+    writeFinalizedCommits
+} from './milestoneCore';
+import { isAllowlisted, readAllowlist, scanStagedChanges } from './secretScanner';
+
+// Command line counterpart of the extension. It writes the same milestone commits and reads the
+// same settings from .vscode/settings.json, so milestones created in either place show up in both
+
+const USAGE = `Usage: milestone [-C <path>] [--verbose] <command> [options]
+
+Commands:
+  create [note] [-d <description>] [-l <label>]... [--push | --no-push] [--force] [--checkpoint]
+      Commit all changes as a milestone. Ignored files are left out. Findings of the
+      pre-commit scan abort the milestone unless --force is given. With --checkpoint, or
+      when the storage setting is "checkpoints", the changes are saved as a checkpoint
+      under refs/milestones/<branch>/ without committing to the branch
+  list [-n <count>] [--json]
+      List the milestones and checkpoints of the current branch, newest first
+  diff <milestone> [<other>] [--working-tree] [--stat]
+      Show the changes since the previous milestone, between two milestones or
+      between a milestone and the working tree
+  revert <milestone> --mode <reset|branch|revert> [--branch <name>] [--push | --no-push]
+      reset:  reset the branch to the milestone (backed up first, force pushed with a lease)
+      branch: check the milestone out into a new branch
+      revert: add revert commits for everything after the milestone
+  restore <checkpoint>
+      Bring the working tree back to a checkpoint, leaving the branch and the index alone.
+      The current state is saved as a checkpoint first
+  finalize [-m <message>]... [--split-after <milestone>]... [--push | --no-push]
+      Squash the branch's milestones into one commit, or one commit per group
+      ending at each --split-after milestone. Each -m sets the message of the next group
+
+Options:
+  -C <path>     Run in <path> instead of the current directory
+  --verbose     Print the git commands that are run
+  -h, --help    Show this help`;
+
+class UsageError extends Error {}
+
+interface Context {
+    root: string;
+    settings: MilestoneSettings;
+}
+
+function print(line = '') {
+    process.stdout.write(`${line}\n`);
+}
+
+function shortHash(hash: string): string {
+    return hash.substring(0, 7);
+}
+
+async function resolveCommit(context: Context, rev: string): Promise<string> {
+    try {
+        const { stdout } = await git(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`], { cwd: context.root });
+        return stdout.trim();
+    } catch {
+        throw new Error(`'${rev}' is not a commit`);
+    }
+}
+
+// Same checks as the extension: no merge, rebase, cherry-pick or revert in progress, a branch checked
+// out and, unless allowProtected, not a protected one. Returns the branch
+function requireBranch(context: Context, action: string, allowProtected = false): Promise<string> {
+    return checkBranchPolicy(context.root, parseBaseBranches(context.settings.additionalBaseBranches), action, allowProtected);
+}
+
+// --push / --no-push win over the pushMode setting; "ask" cannot ask here, so it does not push
+function shouldPush(context: Context, values: { push?: boolean; 'no-push'?: boolean }): boolean {
+    if (values['no-push']) {
+        return false;
+    }
+    return values.push === true || context.settings.pushMode === 'always';
+}
+
+// lease: undefined for a plain push, otherwise the expected remote tip ('' when the branch must not exist yet)
+async function push(context: Context, branch: string, lease?: string) {
+    const remote = context.settings.remoteName;
+    const args = lease === undefined
+        ? ['push', '--set-upstream', remote, branch]
+        : ['push', forceWithLeaseArg(branch, lease), remote, branch];
+    try {
+        await git(args, { cwd: context.root, timeout: REMOTE_TIMEOUT });
+        print(`Pushed ${branch} to ${remote}`);
+    } catch (error) {
+        process.stderr.write(`warning: push to ${remote} failed, the change is saved locally: ${error instanceof Error ? error.message : error}\n`);
+        process.exitCode = 1;
+    }
+}
+
+async function getBranchMilestones(context: Context, limit?: number) {
+    const base = await detectBaseRef(context.root, context.settings);
+    return { base, milestones: await listMilestones(context.root, getMilestoneRange(base), limit) };
+}
+
+// Same staging as the extension: everything, minus ignored files, then the pre-commit scan.
+// env points git at the index of a checkpoint. Scan findings throw unless force is set
+async function stageChanges(context: Context, force: boolean, env?: NodeJS.ProcessEnv) {
+    const rules = loadIgnoreRules(context.root, context.settings.ignoredFilesPattern, context.settings.ignoredFileGlobs);
+    for (const { path, rule } of await unstageIgnoredFiles(context.root, rules, env)) {
+        print(`Left out ${path} (${rule.source}: ${rule.pattern})`);
+    }
+
+    if (!context.settings.scanEnabled) {
+        return;
+    }
+    const allowlist = readAllowlist(context.root);
+    const findings = (await scanStagedChanges(context.root, context.settings.scanMaxFileSizeKB, env))
+        .filter(finding => !isAllowlisted(finding, allowlist));
+    for (const finding of findings) {
+        process.stderr.write(`${finding.path}${finding.line ? `:${finding.line}` : ''}: ${finding.description}\n`);
+    }
+    if (findings.length > 0 && !force) {
+        throw new Error(`Pre-commit scan found ${findings.length} potential problem${findings.length === 1 ? '' : 's'}. Milestone aborted, use --force to create it anyway`);
+    }
+}
+
+async function create(context: Context, args: string[]) {
+    const { values, positionals } = parseArgs({
+        args,
+        options: {
+            description: { type: 'string', short: 'd' },
+            label: { type: 'string', short: 'l', multiple: true },
+            push: { type: 'boolean' },
+            'no-push': { type: 'boolean' },
+            force: { type: 'boolean' },
+            checkpoint: { type: 'boolean' }
+        },
+        allowPositionals: true
+    });
+    if (positionals.length > 1) {
+        throw new UsageError('Quote the note when it contains spaces');
+    }
+
+    // Checkpoints leave the branch alone, so protected branches may have them
+    const asCheckpoint = values.checkpoint === true || context.settings.storage === 'checkpoints';
+    const branch = await requireBranch(context, asCheckpoint ? 'save a checkpoint' : 'create a milestone', asCheckpoint);
+    const details = {
+        title: (positionals[0] ?? '').trim(),
+        description: (values.description ?? '').replace(/\\n/g, '\n').trim(),
+        labels: (values.label ?? []).map(label => label.trim()).filter(label => label)
+    };
+    const message = buildMilestoneMessage(details, context.settings.commitMessageTemplate);
+
+    if (asCheckpoint) {
+        // Staged in a throwaway index, HEAD and the real index stay as they are
+        const tree = await withWorkingTreeIndex(context.root, async env => {
+            await stageChanges(context, values.force === true, env);
+            const { stdout } = await git(['write-tree'], { cwd: context.root, env });
+            return stdout.trim();
+        });
+        const { ref, hash } = await writeCheckpoint(context.root, branch, tree, message);
+        print(`Saved checkpoint ${shortHash(hash)} '${details.title || 'No note provided'}' as ${ref}`);
+
+        if (values['no-push'] || !(values.push || context.settings.pushCheckpoints)) {
+            return;
+        }
+        try {
+            await pushCheckpoints(context.root, context.settings.remoteName, branch);
+            print(`Pushed the checkpoints of ${branch} to ${context.settings.remoteName}`);
+        } catch (error) {
+            process.stderr.write(`warning: push to ${context.settings.remoteName} failed, the checkpoint is saved locally: ${error instanceof Error ? error.message : error}\n`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    // Remember the index so an aborted milestone leaves the staging area as it was
+    const { stdout: originalIndex } = await git(['write-tree'], { cwd: context.root });
+    try {
+        await git(['add', '.'], { cwd: context.root });
+        await stageChanges(context, values.force === true);
+    } catch (error) {
+        await git(['read-tree', originalIndex.trim()], { cwd: context.root });
+        throw error;
+    }
+
+    await commitMilestoneMessage(context.root, message);
+    const { stdout: head } = await git(['rev-parse', 'HEAD'], { cwd: context.root });
+    print(`Created milestone ${shortHash(head.trim())} '${details.title || 'No note provided'}' on ${branch}`);
+
+    if (shouldPush(context, values)) {
+        await push(context, branch);
+    }
+}
+
+async function list(context: Context, args: string[]) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            count: { type: 'string', short: 'n' },
+            json: { type: 'boolean' }
+        }
+    });
+    const limit = values.count ? parseInt(values.count, 10) : undefined;
+    if (limit !== undefined && (isNaN(limit) || limit <= 0)) {
+        throw new UsageError('-n expects a positive number');
+    }
+
+    const { base, milestones: branchMilestones } = await getBranchMilestones(context, limit);
+    const branch = await getBranchName(context.root);
+    // Checkpoints are listed among the milestones by date
+    const milestones = [...branchMilestones, ...(branch ? await listCheckpoints(context.root, branch) : [])]
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, limit);
+    if (values.json) {
+        print(JSON.stringify(milestones, null, 4));
+        return;
+    }
+    if (milestones.length === 0) {
+        print('No milestones found on the current branch');
+        return;
+    }
+
+    print(`Milestones on ${branch ?? 'detached HEAD'}${base.ref ? ` since ${base.ref}` : ''}:`);
+    for (const milestone of milestones) {
+        const labels = milestone.labels?.length ? ` [${milestone.labels.join(', ')}]` : '';
+        const auto = milestone.auto ? ' (auto)' : '';
+        const checkpoint = milestone.checkpoint ? ' (checkpoint)' : '';
+        print(`${shortHash(milestone.hash)}  ${milestone.date} ${milestone.time}  ${milestone.message}${labels}${auto}${checkpoint}`);
+    }
+}
+
+async function diff(context: Context, args: string[]) {
+    const { values, positionals } = parseArgs({
+        args,
+        options: {
+            'working-tree': { type: 'boolean' },
+            stat: { type: 'boolean' }
+        },
+        allowPositionals: true
+    });
+    if (positionals.length === 0 || positionals.length > 2 || (values['working-tree'] && positionals.length > 1)) {
+        throw new UsageError('diff expects one milestone, two milestones, or one milestone with --working-tree');
+    }
+
+    const hash = await resolveCommit(context, positionals[0]);
+    let range: string[];
+    if (values['working-tree']) {
+        range = [hash];
+    } else if (positionals.length === 2) {
+        range = [hash, await resolveCommit(context, positionals[1])];
+    } else {
+        // Milestones are listed newest first, so the previous milestone is the next entry
+        const { milestones } = await getBranchMilestones(context);
+        const index = milestones.findIndex(milestone => milestone.hash === hash);
+        const previous = index >= 0 ? milestones[index + 1] : undefined;
+        range = [previous ? previous.hash : await getParentRef(context.root, hash), hash];
+    }
+
+    const { stdout } = await git(
+        ['diff', `--color=${process.stdout.isTTY ? 'always' : 'never'}`, ...(values.stat ? ['--stat'] : []), ...range],
+        { cwd: context.root }
+    );
+    process.stdout.write(stdout);
+}
+
+async function revert(context: Context, args: string[]) {
+    const { values, positionals } = parseArgs({
+        args,
+        options: {
+            mode: { type: 'string' },
+            branch: { type: 'string' },
+            push: { type: 'boolean' },
+            'no-push': { type: 'boolean' }
+        },
+        allowPositionals: true
+    });
+    if (positionals.length !== 1) {
+        throw new UsageError('revert expects one milestone');
+    }
+    const hash = await resolveCommit(context, positionals[0]);
+
+    switch (values.mode) {
+        case 'reset': {
+            const branch = await requireBranch(context, 'reset and force push');
+            const backup = await createBackup(context.root, context.settings.remoteName, branch, `revert to ${shortHash(hash)}`);
+            await git(['add', '-A'], { cwd: context.root });
+            await git(['reset', '--hard', hash], { cwd: context.root });
+            await git(['clean', '-fd'], { cwd: context.root });
+            print(`Reset ${branch} to milestone ${shortHash(hash)}. The previous state is saved in ${backup.ref}`);
+            if (shouldPush(context, values)) {
+                await push(context, branch, backup.remoteTip ?? '');
+            }
+            break;
+        }
+        case 'branch': {
+            const newBranch = (values.branch ?? `milestone-${shortHash(hash)}`).trim();
+            await git(['check-ref-format', '--branch', newBranch], { cwd: context.root });
+            await git(['checkout', '-b', newBranch, hash], { cwd: context.root });
+            print(`Checked out milestone ${shortHash(hash)} into new branch '${newBranch}'`);
+            break;
+        }
+        case 'revert': {
+            // Revert commits do not rewrite history, so they are the way back on protected branches
+            const branch = await requireBranch(context, 'revert commits', true);
+            const { stdout: status } = await git(['status', '--porcelain', '--untracked-files=no'], { cwd: context.root });
+            if (status.trim()) {
+                throw new Error('You have uncommitted changes. Create a milestone or stash them before reverting commits.');
+            }
+            const { stdout: countOutput } = await git(['rev-list', '--count', `${hash}..HEAD`], { cwd: context.root });
+            const count = parseInt(countOutput.trim(), 10);
+            if (count === 0) {
+                print('There are no commits after this milestone');
+                return;
+            }
+
+            await createBackup(context.root, context.settings.remoteName, branch, `revert to ${shortHash(hash)}`);
+            try {
+                // Reverts newest first, one commit per reverted commit
+                await git(['revert', '--no-edit', `${hash}..HEAD`], { cwd: context.root });
+            } catch (error) {
+                await git(['revert', '--abort'], { cwd: context.root }).catch(() => undefined);
+                throw error;
+            }
+            print(`Reverted ${count} commit${count === 1 ? '' : 's'} after milestone ${shortHash(hash)}`);
+            if (shouldPush(context, values)) {
+                await push(context, branch);
+            }
+            break;
+        }
+        default:
+            throw new UsageError('revert needs --mode reset, branch or revert');
+    }
+}
+
+// Brings the working tree back to a checkpoint of the current branch. The branch and the index are
+// not touched; the current state is saved as a checkpoint first
+async function restore(context: Context, args: string[]) {
+    const { positionals } = parseArgs({ args, allowPositionals: true });
+    if (positionals.length !== 1) {
+        throw new UsageError('restore expects one checkpoint');
+    }
+
+    const branch = await requireBranch(context, 'restore a checkpoint', true);
+    const hash = await resolveCommit(context, positionals[0]);
+    const checkpoint = (await listCheckpoints(context.root, branch)).find(candidate => candidate.hash === hash);
+    if (!checkpoint) {
+        throw new Error(`${positionals[0]} is not a checkpoint of ${branch}`);
+    }
+
+    // Ignored files are never part of a checkpoint, so they are left as they are
+    const rules = loadIgnoreRules(context.root, context.settings.ignoredFilesPattern, context.settings.ignoredFileGlobs);
+    const current = await snapshotWorkingTree(context.root, rules);
+    const files = (await getChangedFiles(context.root, current, hash)).filter(file => !findIgnoreRule(file.path, rules));
+    if (files.length === 0) {
+        print('The working tree already matches this checkpoint');
+        return;
+    }
+
+    const { ref } = await writeCheckpoint(
+        context.root,
+        branch,
+        current,
+        buildMilestoneMessage(
+            { title: `Before restoring checkpoint ${shortHash(hash)}`, description: '', labels: [], auto: 'before restore' },
+            context.settings.commitMessageTemplate
+        )
+    );
+    await restoreCheckpointFiles(context.root, hash, files);
+    print(`Restored ${files.length} file${files.length === 1 ? '' : 's'} from checkpoint ${shortHash(hash)} '${checkpoint.message}'. The previous state is saved as ${ref}`);
+}
+
+async function finalize(context: Context, args: string[]) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            message: { type: 'string', short: 'm', multiple: true },
+            'split-after': { type: 'string', multiple: true },
+            push: { type: 'boolean' },
+            'no-push': { type: 'boolean' }
+        }
+    });
+
+    const branch = await requireBranch(context, 'finalize the branch');
+    const { stdout: status } = await git(['status', '--porcelain', '--untracked-files=no'], { cwd: context.root });
+    if (status.trim()) {
+        throw new Error('You have uncommitted changes. Create a milestone or stash them before finalizing the branch.');
+    }
+
+    const { base, milestones: newestFirst } = await getBranchMilestones(context);
+    if (!base.commit) {
+        throw new Error('Could not determine where this branch starts. Set milestone-manager.baseRef first.');
+    }
+    // Oldest first, the order the new commits are written in
+    const milestones = newestFirst.reverse();
+    if (milestones.length === 0) {
+        print('There are no milestones to finalize on this branch');
+        return;
+    }
+
+    const boundaries = new Set<string>();
+    for (const rev of values['split-after'] ?? []) {
+        const hash = await resolveCommit(context, rev);
+        if (!milestones.some(milestone => milestone.hash === hash)) {
+            throw new Error(`${rev} is not a milestone on ${branch}`);
+        }
+        boundaries.add(hash);
+    }
+
+    const groups = groupMilestones(milestones, boundaries);
+    const subjects = values.message ?? [];
+    if (subjects.length > groups.length) {
+        throw new UsageError(`${subjects.length} messages given for ${groups.length} commit${groups.length === 1 ? '' : 's'}`);
+    }
+    // Without a message a group's commit is named after its last milestone, as the extension suggests
+    const messages = groups.map((group, i) =>
+        buildFinalizeMessage(subjects[i] ?? group.milestones[group.milestones.length - 1].message, group)
+    );
+
+    const backup = await createBackup(context.root, context.settings.remoteName, branch, 'finalizing branch');
+    const tip = await writeFinalizedCommits(context.root, base.commit, groups, messages);
+    // The final tree equals the current one, so a soft reset leaves index and working tree as they are
+    await git(['reset', '--soft', tip], { cwd: context.root });
+    print(`Finalized ${branch} into ${groups.length} commit${groups.length === 1 ? '' : 's'} on top of ${base.ref}. The previous state is saved in ${backup.ref}`);
+
+    if (shouldPush(context, values)) {
+        await push(context, branch, backup.remoteTip ?? '');
+    }
+}
+
+const COMMANDS: Record<string, (context: Context, args: string[]) => Promise<void>> = {
+    create,
+    list,
+    diff,
+    revert,
+    restore,
+    finalize
+};
+
+async function main(argv: string[]) {
+    let cwd = process.cwd();
+    let index = 0;
+    for (; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '-C') {
+            cwd = argv[++index] ?? '';
+        } else if (arg === '--verbose') {
+            setGitLogger(line => process.stderr.write(`${line}\n`));
+            setCoreLogger((...parts) => process.stderr.write(`${parts.map(String).join(' ')}\n`));
+        } else if (arg === '-h' || arg === '--help') {
+            print(USAGE);
+            return;
+        } else {
+            break;
+        }
+    }
+
+    const command = COMMANDS[argv[index]];
+    if (!command) {
+        throw new UsageError(argv[index] ? `Unknown command '${argv[index]}'` : 'No command given');
+    }
+
+    if (!cwd || !await isGitRepository(cwd)) {
+        throw new Error(`${cwd || 'The given path'} is not inside a git repository`);
+    }
+    const { stdout: root } = await git(['rev-parse', '--show-toplevel'], { cwd });
+    const context = { root: root.trim(), settings: readWorkspaceSettings(root.trim()) };
+    await command(context, argv.slice(index + 1));
+}
+
+main(process.argv.slice(2)).catch(error => {
+    if (error instanceof UsageError || (error as { code?: string }).code?.startsWith('ERR_PARSE_ARGS')) {
+        process.stderr.write(`milestone: ${error.message}\n\n${USAGE}\n`);
+        process.exitCode = 2;
+        return;
+    }
+    process.stderr.write(`milestone: ${error instanceof Error ? error.message : error}\n`);
+    process.exitCode = 1;
+});
@@ -1,216 +1,700 @@
 import * as vscode from 'vscode';
-import * as child_process from 'child_process';
 import * as fs from 'fs';
 import * as path from 'path';
-import { promisify } from 'util';
+import {
+    API_VERSION,
+    CreateMilestoneOptions,
+    MilestoneInfo,
+    MilestoneManagerApi,
+    MilestonesChangeEvent,
+    RevertMilestoneOptions
+} from './api';
+import { git, setGitLogger, setGitTimeout } from './git';
+import { IgnoreRule, MILESTONE_IGNORE_FILE, findIgnoreRule, loadIgnoreRules } from './ignoreRules';
+import {
+    BACKUP_REF_PREFIX,
+    BranchMilestones,
+    BranchPolicyError,
+    CHECKPOINT_REF_PREFIX,
+    ChangedFile,
+    DEFAULT_BASE_BRANCHES,
+    DEFAULT_COMMIT_MESSAGE_TEMPLATE,
+    DEFAULT_IGNORED_FILES_PATTERN,
+    EMPTY_TREE_HASH,
+    FinalizeGroup,
+    MILESTONE_GREP,
+    Milestone,
+    MilestoneDetails,
+    MilestoneSettings,
+    MilestoneVerification,
+    PushMode,
+    REMOTE_TIMEOUT,
+    ResolvedBase,
+    StorageMode,
+    WorkingTreeChanges,
+    buildFinalizeMessage,
+    buildMilestoneMessage,
+    checkBranchPolicy,
+    commitMilestoneMessage,
+    createBackup,
+    detectBaseRef,
+    forceWithLeaseArg,
+    formatVerification,
+    getBranchName,
+    getChangedFiles,
+    getInProgressOperation,
+    getMilestone,
+    getMilestoneRange,
+    getParentRef,
+    getRemoteTip,
+    getStagedFiles,
+    getWorkingTreeChanges,
+    groupMilestones,
+    isGitRepository,
+    listBranchMilestones,
+    listCheckpoints,
+    listMilestones,
+    parseBaseBranches,
+    pushCheckpoints,
+    replayCommits,
+    restoreCheckpointFiles,
+    setCoreLogger,
+    snapshotWorkingTree,
+    unstageFiles,
+    unstageIgnoredFiles,
+    withWorkingTreeIndex,
+    writeCheckpoint,
+    writeFinalizedCommits
+} from './milestoneCore';
+import {
+    CHANGELOG_FILE,
+    MilestoneReport,
+    formatChangelogSection,
+    formatJsonReport,
+    formatMarkdownReport,
+    insertChangelogSection
+} from './milestoneReport';
+import { getCommitWebUrl } from './remoteUrl';
+import { TimelinePanel } from './timelinePanel';
+import { ChangeIndicators } from './changeIndicators';
+import { ExtensionMessage, TimelineMilestone, TimelineSettings, TimelineState, WebviewMessage } from './timelineMessages';
+import { ALLOWLIST_FILE, ScanFinding, addToAllowlist, isAllowlisted, readAllowlist, scanStagedChanges } from './secretScanner';
+import { getVerificationSettings, runVerification } from './verification';
 
-const execAsync = promisify(child_process.exec);
+// How deep below each workspace folder to look for nested git repositories
+const REPOSITORY_SCAN_DEPTH = 3;
+const REPOSITORY_SCAN_SKIP = ['node_modules', 'out', 'dist', 'build'];
 
-interface Milestone {
+// URI scheme serving read-only file contents at a milestone
+const MILESTONE_SCHEME = 'milestone';
+const MILESTONE_DETAILS_SCHEME = 'milestone-details';
+// Milestones that could not be pushed are kept here and retried periodically
+const PENDING_PUSHES_KEY = 'milestone-manager.pendingPushes';
+const PENDING_PUSH_INTERVAL = 60 * 1000;
+// Milestone hash per repository that open files are compared with instead of the latest milestone
+const COMPARISON_BASELINES_KEY = 'milestone-manager.comparisonBaselines';
+const MILESTONE_PAGE_SIZE = 50;
+// Most milestones per repository loaded into the timeline panel
+const TIMELINE_MILESTONE_LIMIT = 500;
+// Most milestones listed from other local branches, and again from remote-tracking branches
+const BRANCH_MILESTONE_LIMIT = 200;
+// Returned by multi-step inputs when the user presses the back button
+const INPUT_BACK = Symbol('back');
+// Quiet period after the last change in a git directory before the repository is refreshed
+const REPOSITORY_REFRESH_DELAY = 500;
+// Minimum time between automatic milestones created on window blur
+const AUTO_MILESTONE_MIN_GAP = 5 * 60 * 1000;
+// Saves often come in bursts (Save All, format on save), so the change count waits for a quiet moment
+const STATUS_BAR_CHANGES_DELAY = 1000;
+// How often "2h 5m ago" in the status bar is brought up to date
+const STATUS_BAR_TICK_INTERVAL = 60 * 1000;
+
+let outputChannel: vscode.OutputChannel | undefined;
+
+// Writes to the "Milestone Manager" output channel. Arguments are joined like console.log's
+function log(...parts: unknown[]) {
+    const line = parts
+        .map(part => part instanceof Error ? part.message : typeof part === 'string' ? part : JSON.stringify(part) ?? String(part))
+        .join(' ');
+    outputChannel?.appendLine(`[${new Date().toLocaleTimeString()}] ${line}`);
+}
+
+// Thrown when the user backs out of a milestone while reviewing the staged files
+class MilestoneAbortedError extends Error {}
+
+type AutoMilestoneTrigger = 'interval' | 'task' | 'beforePull' | 'windowBlur';
+
+// Subset of the built-in git extension API (extensions/git/src/api/git.d.ts)
+interface GitExtensionRepository {
+    readonly rootUri: vscode.Uri;
+    readonly state: {
+        readonly HEAD: { readonly name?: string; readonly behind?: number } | undefined;
+        readonly onDidChange: vscode.Event<void>;
+    };
+}
+
+interface GitExtensionAPI {
+    readonly repositories: GitExtensionRepository[];
+    readonly onDidOpenRepository: vscode.Event<GitExtensionRepository>;
+}
+
+interface GitExtension {
+    getAPI(version: 1): GitExtensionAPI;
+}
+
+type RestoreMode = 'reset' | 'branch' | 'revert' | 'files';
+
+interface PendingPush {
+    repo: string;
+    branch: string;
+    // Expected remote tip for --force-with-lease, '' when the branch must not exist on the remote yet;
+    // undefined for a plain push. null (queued by older versions) leases against the tracking ref
+    lease?: string | null;
+}
+
+interface MilestoneBackup {
+    ref: string;
     hash: string;
-    message: string;
     date: string;
     time: string;
+    description: string;
+}
+
+interface MilestoneRepository {
+    root: string;
+    name: string;
+}
+
+// What the status bar shows for a repository. changes is undefined when there is no milestone
+interface StatusBarEntry {
+    latest: Milestone | undefined;
+    changes: WorkingTreeChanges | undefined;
 }
 
 class MilestoneManager {
     private statusBarItem: vscode.StatusBarItem;
-    private gitHeadWatcher: fs.StatWatcher | null = null;
-    private currentBranch: string | null = null;
+    // Cached per repository, so switching editors and saving files do not list the milestones again
+    private statusBarEntries: Map<string, StatusBarEntry> = new Map();
+    private statusBarTarget: { repository: MilestoneRepository; multiRepo: boolean } | undefined;
+    private statusBarChangesTimer: NodeJS.Timeout | null = null;
+    private statusBarTickTimer: NodeJS.Timeout | null = null;
+    // Repository root and milestone hash of the reminders shown, so each milestone reminds only once
+    private remindedMilestones: Set<string> = new Set();
+    private repositoryWatchers: Map<string, vscode.FileSystemWatcher[]> = new Map();
+    private repositoryRefreshTimers: Map<string, NodeJS.Timeout> = new Map();
+    private currentBranches: Map<string, string | null> = new Map();
+    private repositories: MilestoneRepository[] | null = null;
+    private pendingPushTimer: NodeJS.Timeout | null = null;
+    private baseRefCache: Map<string, ResolvedBase> = new Map();
+    // The last queued operation of each repository, see runExclusive
+    private operations: Map<string, Promise<void>> = new Map();
+    private autoMilestoneTimer: NodeJS.Timeout | null = null;
+    private autoMilestoneDisposables: vscode.Disposable[] = [];
+    private autoMilestoneInProgress = false;
+    private lastAutoMilestone: Map<string, number> = new Map();
+    private incomingCounts: Map<string, number> = new Map();
     private treeDataProvider: MilestoneTreeDataProvider;
+    private timelinePanel: TimelinePanel | undefined;
+    private changeIndicators: ChangeIndicators;
+    // Milestone hashes per repository, to tell whether a ref change touched the milestones
+    private milestoneSignatures: Map<string, string> = new Map();
+    private milestonesChanged = new vscode.EventEmitter<MilestonesChangeEvent>();
+    public readonly onDidChangeMilestones = this.milestonesChanged.event;
 
     constructor(private context: vscode.ExtensionContext) {
         this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
         this.statusBarItem.command = 'milestone-manager.createMilestone';
         this.statusBarItem.text = '$(milestone)'; // Using milestone flag icon
-        this.context.subscriptions.push(this.statusBarItem);
+        this.context.subscriptions.push(this.statusBarItem, this.milestonesChanged);
+
+        this.context.subscriptions.push(
+            vscode.workspace.registerTextDocumentContentProvider(MILESTONE_SCHEME, new MilestoneContentProvider())
+        );
+        this.context.subscriptions.push(
+            vscode.workspace.registerTextDocumentContentProvider(MILESTONE_DETAILS_SCHEME, new MilestoneDetailsProvider(this))
+        );
         
+        this.applyGitTimeout();
         this.treeDataProvider = new MilestoneTreeDataProvider(this);
+        this.changeIndicators = new ChangeIndicators(this);
+        this.context.subscriptions.push(this.changeIndicators);
         this.initializeViews();
         this.updateStatusBar();
-        this.setupBranchWatcher();
+        this.statusBarTickTimer = setInterval(() => this.renderStatusBar(), STATUS_BAR_TICK_INTERVAL);
+        this.setupRepositoryWatchers();
+        this.schedulePendingPushRetry();
+        this.setupAutoMilestones();
 
         // Register workspace folder change event
         this.context.subscriptions.push(
             vscode.workspace.onDidChangeWorkspaceFolders(() => {
+                this.repositories = null;
                 this.updateStatusBar();
                 this.refreshTreeView();
-                this.setupBranchWatcher();
+                this.setupRepositoryWatchers();
+                this.changeIndicators.updateRepositories();
+            })
+        );
+
+        // Settings such as the base ref or remote name change what is listed
+        this.context.subscriptions.push(
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('milestone-manager.autoMilestone')) {
+                    this.setupAutoMilestones();
+                }
+                if (event.affectsConfiguration('milestone-manager.gitTimeoutSeconds')) {
+                    this.applyGitTimeout();
+                }
+                if (event.affectsConfiguration('milestone-manager')) {
+                    this.baseRefCache.clear();
+                    this.statusBarEntries.clear();
+                    this.updateStatusBar();
+                    this.refreshTreeView();
+                }
+            })
+        );
+
+        // The status bar follows the repository of the active editor
+        this.context.subscriptions.push(
+            vscode.window.onDidChangeActiveTextEditor(() => {
+                this.updateStatusBar(false);
+            })
+        );
+
+        // Keep the excluded files in the Configuration section in sync with the ignore file
+        this.context.subscriptions.push(
+            vscode.workspace.onDidSaveTextDocument(document => {
+                if (path.basename(document.uri.fsPath) === MILESTONE_IGNORE_FILE) {
+                    this.refreshTreeView();
+                }
+                this.scheduleStatusBarChanges();
             })
         );
+
+        // Files created, deleted or renamed in VS Code change the count without a save
+        this.context.subscriptions.push(
+            vscode.workspace.onDidCreateFiles(() => this.scheduleStatusBarChanges()),
+            vscode.workspace.onDidDeleteFiles(() => this.scheduleStatusBarChanges()),
+            vscode.workspace.onDidRenameFiles(() => this.scheduleStatusBarChanges())
+        );
+    }
+
+    private applyGitTimeout() {
+        // Remote operations keep their own shorter timeout
+        const seconds = vscode.workspace.getConfiguration('milestone-manager').get<number>('gitTimeoutSeconds', 120);
+        setGitTimeout(seconds * 1000);
     }
 
     private initializeViews() {
         // Create tree view for activity bar
         vscode.window.createTreeView('milestoneView', {
-            treeDataProvider: this.treeDataProvider
+            treeDataProvider: this.treeDataProvider,
+            canSelectMany: true
         });
         
         // Refresh the tree view to ensure it shows content
         this.treeDataProvider.refresh();
     }
 
-    private getWorkspacePath(): string {
+    // Operations that change a repository run one at a time per repository, so a revert cannot
+    // start while a milestone is being created. Without a title they run without progress UI
+    private runExclusive<T>(workspacePath: string, title: string | undefined, task: (signal: AbortSignal) => Promise<T>): Promise<T> {
+        const previous = this.operations.get(workspacePath);
+        const controller = new AbortController();
+
+        const run = async (progress?: vscode.Progress<{ message?: string }>) => {
+            if (previous) {
+                progress?.report({ message: 'Waiting for another milestone operation to finish...' });
+                await previous;
+                progress?.report({ message: '' });
+            }
+            return task(controller.signal);
+        };
+
+        const result = Promise.resolve(title
+            ? vscode.window.withProgress(
+                { location: vscode.ProgressLocation.Notification, title, cancellable: true },
+                (progress, token) => {
+                    token.onCancellationRequested(() => controller.abort());
+                    return run(progress);
+                }
+            )
+            : run());
+
+        // The next operation waits for this one whether it succeeds or fails
+        const done = result.then(() => undefined, () => undefined);
+        this.operations.set(workspacePath, done);
+        done.then(() => {
+            if (this.operations.get(workspacePath) === done) {
+                this.operations.delete(workspacePath);
+            }
+        });
+        return result;
+    }
+
+    public async getRepositories(): Promise<MilestoneRepository[]> {
+        if (!this.repositories) {
+            this.repositories = await this.discoverRepositories();
+        }
+        return this.repositories;
+    }
+
+    private async discoverRepositories(): Promise<MilestoneRepository[]> {
         const workspaceFolders = vscode.workspace.workspaceFolders;
         if (!workspaceFolders) {
-            throw new Error('No workspace folder is opened');
+            return [];
+        }
+
+        const roots: string[] = [];
+        const addRoot = (root: string) => {
+            const normalized = path.normalize(root);
+            if (!roots.includes(normalized)) {
+                roots.push(normalized);
+            }
+        };
+
+        for (const folder of workspaceFolders) {
+            const folderPath = folder.uri.fsPath;
+
+            // The folder itself may live inside a repository whose root is above it
+            try {
+                const { stdout } = await git(['rev-parse', '--show-toplevel'], { cwd: folderPath });
+                if (stdout.trim()) {
+                    addRoot(stdout.trim());
+                }
+            } catch {
+                // Not inside a repository - nested repositories may still exist below it
+            }
+
+            for (const nested of await this.findNestedRepositories(folderPath, REPOSITORY_SCAN_DEPTH)) {
+                addRoot(nested);
+            }
         }
-        return workspaceFolders[0].uri.fsPath;
+
+        return roots.map(root => ({ root, name: path.basename(root) }));
     }
 
-    private async isGitRepository(path: string): Promise<boolean> {
+    private async findNestedRepositories(dir: string, depth: number): Promise<string[]> {
+        if (depth <= 0) {
+            return [];
+        }
+
+        let entries: fs.Dirent[];
         try {
-            await execAsync('git rev-parse --is-inside-work-tree', { cwd: path });
-            return true;
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
         } catch {
-            return false;
+            return [];
+        }
+
+        const found: string[] = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.') || REPOSITORY_SCAN_SKIP.includes(entry.name)) {
+                continue;
+            }
+
+            const child = path.join(dir, entry.name);
+            // .git is a directory for regular clones and a file for submodules and worktrees
+            if (fs.existsSync(path.join(child, '.git'))) {
+                found.push(child);
+            }
+            found.push(...await this.findNestedRepositories(child, depth - 1));
+        }
+        return found;
+    }
+
+    private getRepositoryForUri(uri: vscode.Uri, repositories: MilestoneRepository[]): MilestoneRepository | undefined {
+        const filePath = path.normalize(uri.fsPath);
+        // Prefer the deepest repository so files of nested repos are not attributed to their parent
+        return repositories
+            .filter(repo => filePath === repo.root || filePath.startsWith(repo.root + path.sep))
+            .sort((a, b) => b.root.length - a.root.length)[0];
+    }
+
+    public async getActiveRepository(): Promise<MilestoneRepository | undefined> {
+        const repositories = await this.getRepositories();
+        const activeUri = vscode.window.activeTextEditor?.document.uri;
+        if (activeUri && activeUri.scheme === 'file') {
+            const activeRepo = this.getRepositoryForUri(activeUri, repositories);
+            if (activeRepo) {
+                return activeRepo;
+            }
+        }
+        return repositories[0];
+    }
+
+    private async pickRepositories(allowAll: boolean): Promise<MilestoneRepository[] | undefined> {
+        const repositories = await this.getRepositories();
+        if (repositories.length === 0) {
+            vscode.window.showErrorMessage('No git repository found in this workspace');
+            return undefined;
+        }
+        if (repositories.length === 1) {
+            return repositories;
+        }
+
+        const activeRepo = await this.getActiveRepository();
+        const ordered = activeRepo
+            ? [activeRepo, ...repositories.filter(repo => repo !== activeRepo)]
+            : repositories;
+
+        type RepositoryPickItem = vscode.QuickPickItem & { repositories: MilestoneRepository[] };
+        const items: RepositoryPickItem[] = ordered.map(repo => ({
+            label: `$(repo) ${repo.name}`,
+            description: repo === activeRepo && vscode.window.activeTextEditor ? 'active editor' : undefined,
+            detail: repo.root,
+            repositories: [repo]
+        }));
+        if (allowAll) {
+            items.push({
+                label: '$(repo-clone) All repositories',
+                description: `${repositories.length} repositories`,
+                repositories
+            });
         }
+
+        const picked = await vscode.window.showQuickPick(items, {
+            placeHolder: 'Select a repository',
+            matchOnDetail: true
+        });
+        return picked?.repositories;
     }
 
-    private async updateStatusBar() {
+    // Shows the latest milestone of the active editor's repository, how long ago it was created and
+    // what changed since. Without reload the cached milestone and changes of the repository are used
+    private async updateStatusBar(reload = true) {
         try {
-            const workspacePath = this.getWorkspacePath();
-            if (!await this.isGitRepository(workspacePath)) {
+            const repository = await this.getActiveRepository();
+            if (!repository) {
+                this.statusBarTarget = undefined;
                 this.statusBarItem.text = '$(milestone) Not a git repository';
+                this.statusBarItem.tooltip = undefined;
+                this.statusBarItem.backgroundColor = undefined;
                 this.statusBarItem.show();
                 return;
             }
 
-            const milestoneInfo = await this.getCurrentMilestone();
-            const hasAnyMilestones = await this.hasMilestones();
-            
-            if (milestoneInfo) {
-                this.statusBarItem.text = `$(milestone) ${milestoneInfo}`;
-                this.statusBarItem.tooltip = 'Create milestone';
-            } else if (!hasAnyMilestones) {
-                this.statusBarItem.text = '$(milestone) Create milestone';
-                this.statusBarItem.tooltip = 'Click to create your first milestone';
-            } else {
-                this.statusBarItem.text = '$(milestone) Create milestone';
-                this.statusBarItem.tooltip = 'Create new milestone';
+            if (reload || !this.statusBarEntries.has(repository.root)) {
+                const latest = await this.getLatestMilestone(repository.root);
+                const changes = latest ? await getWorkingTreeChanges(repository.root, latest.hash) : undefined;
+                this.statusBarEntries.set(repository.root, { latest, changes });
             }
-
-            this.statusBarItem.show();
+            this.statusBarTarget = { repository, multiRepo: (await this.getRepositories()).length > 1 };
+            this.renderStatusBar();
         } catch (error) {
-            console.error('Status bar update error:', error);
+            log('Status bar update error:', error);
             this.statusBarItem.text = '$(milestone) Error';
             this.statusBarItem.tooltip = 'Error updating milestone status';
+            this.statusBarItem.backgroundColor = undefined;
             this.statusBarItem.show();
         }
     }
 
-    private async filterIgnoredFiles(workspacePath: string): Promise<void> {
+    private scheduleStatusBarChanges() {
+        if (this.statusBarChangesTimer) {
+            clearTimeout(this.statusBarChangesTimer);
+        }
+        this.statusBarChangesTimer = setTimeout(() => {
+            this.statusBarChangesTimer = null;
+            this.updateStatusBarChanges();
+        }, STATUS_BAR_CHANGES_DELAY);
+    }
+
+    // Counts the changes again after a save. The latest milestone only changes with the refs, which
+    // the repository watchers follow, so git log is not run for this
+    private async updateStatusBarChanges() {
+        const root = this.statusBarTarget?.repository.root;
+        const entry = root ? this.statusBarEntries.get(root) : undefined;
+        if (!root || !entry) {
+            await this.updateStatusBar();
+            return;
+        }
+
+        // Other repositories are counted again when one of their files becomes active
+        for (const other of [...this.statusBarEntries.keys()]) {
+            if (other !== root) {
+                this.statusBarEntries.delete(other);
+            }
+        }
         try {
-            // Get the ignored files pattern
-            const pattern = this.getIgnoredFilesPattern();
-            
-            console.log(`[DEBUG] Filtering with pattern: "${pattern}"`);
-            
-            if (!pattern.trim()) {
-                console.log('No ignored files pattern configured, skipping file filtering');
-                return;
+            if (entry.latest) {
+                entry.changes = await getWorkingTreeChanges(root, entry.latest.hash);
             }
+            this.renderStatusBar();
+        } catch (error) {
+            log('Status bar update error:', error);
+        }
+    }
 
-            // Create regex from pattern
-            const regex = new RegExp(pattern);
-            console.log(`[DEBUG] Created regex:`, regex);
+    private renderStatusBar() {
+        const target = this.statusBarTarget;
+        const entry = target ? this.statusBarEntries.get(target.repository.root) : undefined;
+        if (!target || !entry) {
+            return;
+        }
 
-            // Get list of staged files
-            const { stdout: stagedFiles } = await execAsync('git diff --cached --name-only', { cwd: workspacePath });
-            
-            console.log(`[DEBUG] Staged files output: "${stagedFiles}"`);
-            
-            if (!stagedFiles.trim()) {
-                console.log('No staged files to filter');
-                return;
-            }
+        const repoSuffix = target.multiRepo ? ` (${target.repository.name})` : '';
+        const { latest, changes } = entry;
+        if (!latest || !changes) {
+            this.statusBarItem.text = `$(milestone) Create milestone${repoSuffix}`;
+            this.statusBarItem.tooltip = 'Click to create your first milestone';
+            this.statusBarItem.backgroundColor = undefined;
+            this.statusBarItem.show();
+            return;
+        }
 
-            const fileList = stagedFiles.split('\n').map(f => f.trim()).filter(f => f);
-            console.log(`[DEBUG] File list to check:`, fileList);
+        const elapsed = Date.now() - latest.timestamp;
+        const age = formatElapsed(elapsed);
+        const summary = changes.files > 0
+            ? ` · ${changes.files} ${changes.files === 1 ? 'file' : 'files'} +${changes.insertions} -${changes.deletions}`
+            : '';
+        const overdue = this.getOverdueReason(changes, elapsed);
 
-            // Filter files that match the ignore pattern
-            const filesToRemove = fileList.filter(file => {
-                const matches = regex.test(file);
-                console.log(`[DEBUG] File "${file}" matches pattern: ${matches}`);
-                return matches;
-            });
+        this.statusBarItem.text = `$(milestone) ${latest.message} · ${age}${summary}${repoSuffix}`;
+        this.statusBarItem.tooltip = [
+            `Latest milestone: ${latest.message} (${latest.date} ${latest.time})`,
+            changes.files > 0
+                ? `Since then: ${changes.files} changed ${changes.files === 1 ? 'file' : 'files'}, ${changes.insertions} lines added, ${changes.deletions} removed`
+                : 'No changes since then',
+            ...(overdue ? [`${overdue} - time for a new milestone`] : []),
+            'Click to create a milestone'
+        ].join('\n');
+        this.statusBarItem.backgroundColor = overdue ? new vscode.ThemeColor('statusBarItem.warningBackground') : undefined;
+        this.statusBarItem.show();
 
-            console.log(`[DEBUG] Files to remove:`, filesToRemove);
+        if (overdue) {
+            this.remindToCreateMilestone(target.repository, latest, overdue);
+        }
+    }
 
-            // Remove matching files from staging
-            for (const file of filesToRemove) {
-                if (file.trim()) {
-                    console.log(`Removing ignored file from staging: ${file}`);
-                    await execAsync(`git reset -- "${file}"`, { cwd: workspacePath });
-                }
-            }
+    // Returns why a new milestone is due according to the statusBar thresholds, where 0 turns a threshold off.
+    // Without changes nothing is due, however old the latest milestone is
+    private getOverdueReason(changes: WorkingTreeChanges, elapsed: number): string | undefined {
+        if (changes.files === 0) {
+            return undefined;
+        }
+        const config = vscode.workspace.getConfiguration('milestone-manager.statusBar');
+        const fileThreshold = config.get<number>('changedFilesThreshold', 20);
+        const lineThreshold = config.get<number>('changedLinesThreshold', 500);
+        const minuteThreshold = config.get<number>('minutesThreshold', 60);
+        const lines = changes.insertions + changes.deletions;
 
-            if (filesToRemove.length > 0) {
-                console.log(`Filtered ${filesToRemove.length} ignored files from milestone commit`);
-            } else {
-                console.log('[DEBUG] No files were filtered out');
-            }
-        } catch (error) {
-            console.error('Error filtering ignored files:', error);
-            // Don't throw - we don't want file filtering errors to break milestone creation
+        if (fileThreshold > 0 && changes.files >= fileThreshold) {
+            return `${changes.files} files changed since the latest milestone`;
         }
+        if (lineThreshold > 0 && lines >= lineThreshold) {
+            return `${lines} lines changed since the latest milestone`;
+        }
+        if (minuteThreshold > 0 && elapsed >= minuteThreshold * 60 * 1000) {
+            return `The latest milestone is ${formatElapsed(elapsed)}`;
+        }
+        return undefined;
     }
 
-    public async createMilestone() {
-        try {
-            const workspacePath = this.getWorkspacePath();
-            if (!await this.isGitRepository(workspacePath)) {
-                vscode.window.showErrorMessage('This workspace is not a git repository');
-                return;
+    private remindToCreateMilestone(repository: MilestoneRepository, latest: Milestone, reason: string) {
+        const key = `${repository.root}\0${latest.hash}`;
+        if (!vscode.workspace.getConfiguration('milestone-manager').get<boolean>('statusBar.reminder', false)
+            || this.remindedMilestones.has(key)) {
+            return;
+        }
+        this.remindedMilestones.add(key);
+
+        vscode.window.showInformationMessage(
+            `${reason} ('${latest.message}' in ${repository.name}). Create a milestone now?`,
+            'Create Milestone'
+        ).then(answer => {
+            if (answer === 'Create Milestone') {
+                this.createMilestone(repository.root);
             }
+        });
+    }
 
-            const note = await vscode.window.showInputBox({
-                prompt: 'Enter an optional note for this milestone',
-                placeHolder: 'Milestone note'
-            });
+    public getIgnoreRules(workspacePath: string): IgnoreRule[] {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        return loadIgnoreRules(workspacePath, this.getIgnoredFilesPattern(), config.get<string[]>('ignoredFileGlobs', []));
+    }
 
-            if (note === undefined) {
-                return; // User cancelled
-            }
+    // Changed files in the working tree that an ignore rule keeps out of milestones
+    public async getExcludedFiles(workspacePath: string): Promise<{ path: string; rule: IgnoreRule }[]> {
+        const rules = this.getIgnoreRules(workspacePath);
+        if (rules.length === 0) {
+            return [];
+        }
 
-            // Get current branch name
-            const { stdout: branchName } = await execAsync('git symbolic-ref --short HEAD', { cwd: workspacePath });
+        const { stdout } = await git(['status', '--porcelain', '-z', '--untracked-files=all', '--no-renames'], { cwd: workspacePath });
+        const excluded: { path: string; rule: IgnoreRule }[] = [];
+        for (const entry of stdout.split('\0').filter(entry => entry)) {
+            const file = entry.substring(3);
+            const rule = findIgnoreRule(file, rules);
+            if (rule) {
+                excluded.push({ path: file, rule });
+            }
+        }
+        return excluded;
+    }
 
-            try {
-                // Add all files and then filter based on configured ignored files pattern
-                await execAsync('git add .', { cwd: workspacePath });
-                // Remove files matching the ignored files pattern
-                await this.filterIgnoredFiles(workspacePath);
+    // Unstages ignored files, and lets the user review the rest when interactive.
+    // Returns false when the user cancelled the review. env selects the index of a checkpoint
+    private async filterIgnoredFiles(workspacePath: string, interactive: boolean, env?: NodeJS.ProcessEnv): Promise<boolean> {
+        const staged = await getStagedFiles(workspacePath, env);
+        if (staged.length === 0) {
+            return true;
+        }
 
-                // Create milestone commit
-                await execAsync(`git commit --allow-empty -m "feat: ${note || 'No note provided'} saved as milestone"`, { cwd: workspacePath });
+        const rules = this.getIgnoreRules(workspacePath);
+        const files = staged.map(file => ({ ...file, rule: findIgnoreRule(file.path, rules) }));
 
-                // Try to push
-                try {
-                    await execAsync('git push', { cwd: workspacePath });
-                } catch (pushError) {
-                    // If push fails, try setting upstream
-                    try {
-                        await execAsync(`git push --set-upstream origin ${branchName.trim()}`, { cwd: workspacePath });
-                    } catch (error) {
-                        if (error instanceof Error) {
-                            throw new Error(`Failed to push changes: ${error.message}`);
-                        } else {
-                            throw new Error('Failed to push changes: Unknown error');
-                        }
-                    }
+        let filesToRemove = files.filter(file => file.rule);
+        const review = vscode.workspace.getConfiguration('milestone-manager').get<boolean>('reviewStagedFiles', true);
+        if (interactive && review) {
+            const selected = await vscode.window.showQuickPick(
+                files.map(file => ({
+                    label: file.path,
+                    description: file.rule
+                        ? `${file.status} · ignored by ${file.rule.source}: ${file.rule.pattern}`
+                        : file.status,
+                    picked: !file.rule,
+                    file
+                })),
+                {
+                    title: `Files in this milestone (${path.basename(workspacePath)})`,
+                    placeHolder: 'Uncheck files to leave them out of the milestone',
+                    canPickMany: true,
+                    matchOnDescription: true,
+                    ignoreFocusOut: true
                 }
-                
-                vscode.window.showInformationMessage('Milestone created successfully!');
-                this.updateStatusBar();
-                this.refreshTreeView();
-            } catch (error) {
-                if (error instanceof Error) {
-                    throw new Error(`Git operation failed: ${error.message}`);
-                } else {
-                    throw new Error('Git operation failed: Unknown error');
+            );
+            if (!selected) {
+                return false;
+            }
+            const kept = new Set(selected.map(item => item.file.path));
+            filesToRemove = files.filter(file => !kept.has(file.path));
+        }
+
+        await unstageFiles(workspacePath, filesToRemove.map(file => file.path), env);
+        if (filesToRemove.length > 0) {
+            log(`Left ${filesToRemove.length} files out of the milestone commit`);
+        }
+        return true;
+    }
+
+    public async createMilestone(repoPath?: string) {
+        try {
+            let targets: MilestoneRepository[] | undefined;
+            if (repoPath) {
+                if (!await isGitRepository(repoPath)) {
+                    vscode.window.showErrorMessage('This workspace is not a git repository');
+                    return;
                 }
+                targets = [{ root: repoPath, name: path.basename(repoPath) }];
+            } else {
+                targets = await this.pickRepositories(true);
             }
+
+            if (!targets) {
+                return; // User cancelled or no repository available
+            }
+
+            await this.createMilestoneIn(targets);
         } catch (error) {
             if (error instanceof Error) {
                 vscode.window.showErrorMessage(`Failed to create milestone: ${error.message}`);
@@ -220,256 +704,3271 @@ class MilestoneManager {
         }
     }
 
-    public async revertToMilestone(hash: string) {
-        try {
-            const workspacePath = this.getWorkspacePath();
-            if (!await this.isGitRepository(workspacePath)) {
-                vscode.window.showErrorMessage('This workspace is not a git repository');
-                return;
-            }
+    // Creates a milestone without any prompt, for the API, the createMilestone command with options and the URI handler.
+    // The verification command or task is not run: nobody could decide what to do when it fails
+    public async createMilestoneHeadless(options: CreateMilestoneOptions): Promise<MilestoneInfo> {
+        const repository = await this.resolveApiRepository(options.repository);
+        if (!await isGitRepository(repository.root)) {
+            throw new Error(`${repository.root} is not a git repository`);
+        }
+
+        // Line breaks would end the subject or the trailers early
+        const singleLine = (text: string) => text.replace(/\s*[\r\n]+\s*/g, ' ').trim();
+        const details: MilestoneDetails = {
+            title: singleLine(options.note ?? ''),
+            description: (options.description ?? '').trim(),
+            labels: (options.labels ?? []).map(singleLine).filter(label => label)
+        };
+        // Checkpoints have their own push setting, which an explicit push option overrides too
+        const checkpoints = this.getStorageMode() === 'checkpoints';
+        const push = options.push ?? (checkpoints ? this.getPushCheckpoints() : this.getPushMode() === 'always');
 
-            // Get current branch name
-            const { stdout: branchName } = await execAsync('git symbolic-ref --short HEAD', { cwd: workspacePath });
-            const currentBranch = branchName.trim();
+        const { hash } = await this.runExclusive(repository.root, undefined, signal => checkpoints
+            ? this.saveCheckpoint(repository.root, details, undefined, false, push, signal)
+            : this.commitMilestone(repository.root, details, undefined, push, false, signal)
+        );
+        log('Created milestone through the API in', repository.root);
+        this.updateStatusBar();
+        this.refreshTreeView();
 
-            // Check if branch is a protected base branch
-            const baseBranches = this.getBaseBranches();
-            const lowerBranch = currentBranch.toLowerCase();
-            const isBaseBranch = baseBranches.some(branch => branch.toLowerCase() === lowerBranch);
-            
-            if (isBaseBranch) {
-                vscode.window.showErrorMessage(
-                    `Cannot force push to base branch '${currentBranch}'. Protected branches: ${baseBranches.join(', ')}. Please switch to a different branch first.`
-                );
-                return;
+        const milestone = await getMilestone(repository.root, hash);
+        if (checkpoints) {
+            milestone.checkpoint = (await this.getCheckpoints(repository.root)).find(checkpoint => checkpoint.hash === hash)?.checkpoint;
+        }
+        return this.toMilestoneInfo(milestone);
+    }
+
+    public async getApiMilestones(repositoryPath?: string): Promise<MilestoneInfo[]> {
+        const repository = await this.resolveApiRepository(repositoryPath);
+        const milestones = await this.getMilestones(repository.root);
+        return milestones.map(milestone => this.toMilestoneInfo(milestone));
+    }
+
+    public async revertFromApi(options: RevertMilestoneOptions) {
+        const repository = await this.resolveApiRepository(options.repository);
+        await this.revertToMilestoneIn(repository.root, options.hash, options.mode);
+    }
+
+    private async resolveApiRepository(repositoryPath?: string): Promise<MilestoneRepository> {
+        if (!repositoryPath) {
+            const active = await this.getActiveRepository();
+            if (!active) {
+                throw new Error('No git repository found in this workspace');
             }
+            return active;
+        }
+        const normalized = path.normalize(repositoryPath);
+        const repository = (await this.getRepositories()).find(repo => repo.root === normalized);
+        return repository ?? { root: normalized, name: path.basename(normalized) };
+    }
 
-            // Confirm with the user
-            const answer = await vscode.window.showWarningMessage(
-                `Are you sure you want to reset ${currentBranch} to this milestone? This will restore the state exactly as it was at this milestone.`,
-                { modal: true },
-                'Yes, Reset'
-            );
+    private toMilestoneInfo(milestone: Milestone): MilestoneInfo {
+        return {
+            hash: milestone.hash,
+            title: milestone.message,
+            description: milestone.description,
+            labels: milestone.labels ?? [],
+            date: milestone.date,
+            time: milestone.time,
+            author: milestone.author,
+            auto: milestone.auto,
+            group: milestone.group,
+            checkpoint: milestone.checkpoint,
+            verification: milestone.verification
+        };
+    }
 
-            if (answer !== 'Yes, Reset') {
+    // vscode://milestone-manager-dev.milestone-manager/create?note=...&labels=a,b&repository=/path/to/repo
+    public async handleUri(uri: vscode.Uri) {
+        try {
+            const action = uri.path.replace(/^\/+|\/+$/g, '');
+            if (action !== 'create') {
+                vscode.window.showErrorMessage(`Unknown milestone link '${action}'. Supported: create`);
                 return;
             }
 
-            try {
-                // Add any modified files to make sure they're tracked
-                await execAsync('git add -A', { cwd: workspacePath });
-                
-                // Reset the index and working directory to the milestone
-                await execAsync(`git reset --hard ${hash}`, { cwd: workspacePath });
-                
-                // Clean up any untracked files
-                await execAsync('git clean -fd', { cwd: workspacePath });
-                
-                // Force push to update remote
-                await execAsync(`git push -f origin ${currentBranch}`, { cwd: workspacePath });
-                
-                vscode.window.showInformationMessage(`Successfully reset to milestone and updated remote`);
-                this.updateStatusBar();
-                this.refreshTreeView();
-            } catch (error) {
-                if (error instanceof Error) {
-                    throw new Error(`Git operation failed: ${error.message}`);
-                } else {
-                    throw new Error('Git operation failed: Unknown error');
+            const query = new URLSearchParams(uri.query);
+            const labels = query.getAll('labels').flatMap(value => value.split(',')).map(label => label.trim()).filter(label => label);
+            const options: CreateMilestoneOptions = {
+                repository: query.get('repository') ?? undefined,
+                note: query.get('note') ?? undefined,
+                description: query.get('description') ?? undefined,
+                labels
+            };
+
+            // Any web page can open such a link, so ask unless the user opted out
+            const repository = await this.resolveApiRepository(options.repository);
+            const config = vscode.workspace.getConfiguration('milestone-manager');
+            if (config.get<boolean>('uriHandler.confirm', true)) {
+                const answer = await vscode.window.showWarningMessage(
+                    `An external tool asks to create the milestone '${options.note || 'No note provided'}' in ${repository.name}. Create it?`,
+                    { modal: true },
+                    'Create Milestone'
+                );
+                if (answer !== 'Create Milestone') {
+                    return;
                 }
             }
+
+            const milestone = await this.createMilestoneHeadless({ ...options, repository: repository.root });
+            vscode.window.showInformationMessage(`Milestone '${milestone.title}' created in ${repository.name}`);
         } catch (error) {
             if (error instanceof Error) {
-                vscode.window.showErrorMessage(`Failed to reset to milestone: ${error.message}`);
+                vscode.window.showErrorMessage(`Failed to create milestone: ${error.message}`);
             } else {
-                vscode.window.showErrorMessage('Failed to reset to milestone: Unknown error');
+                vscode.window.showErrorMessage('Failed to create milestone: Unknown error');
             }
         }
     }
 
-    public async getMilestones(): Promise<Milestone[]> {
+    // Fires onDidChangeMilestones when the milestone list differs from the last check.
+    // The first check of a repository only records the current state
+    private async checkMilestonesChanged(workspacePath: string) {
         try {
-            const workspacePath = this.getWorkspacePath();
-            
-            // Get all milestone commits that are on the current branch but not on origin/HEAD
-            // This shows only commits unique to the current branch
-            const { stdout } = await execAsync(
-                `git log origin/HEAD.. --pretty=format:"%H|||%s|||%ad|||%ai" --date=short --grep="^feat:.*saved as milestone" -n 50`, 
-                { cwd: workspacePath }
-            );
-
-            if (!stdout.trim()) {
-                return [];
+            const range = getMilestoneRange(await this.resolveBaseRef(workspacePath));
+            const { stdout: milestones } = await git(['log', range, ...MILESTONE_GREP, '--format=%H'], { cwd: workspacePath });
+            const checkpoints = await this.getCheckpoints(workspacePath);
+            const signature = milestones + checkpoints.map(checkpoint => checkpoint.hash).join('\n');
+            const previous = this.milestoneSignatures.get(workspacePath);
+            this.milestoneSignatures.set(workspacePath, signature);
+            if (previous !== undefined && previous !== signature) {
+                this.milestonesChanged.fire({ repository: workspacePath });
             }
-
-            return stdout
-                .split('\n')
-                .map(line => {
-                    const [hash, message, date, datetime] = line.split('|||');
-                    // Extract time from datetime (format: YYYY-MM-DD HH:MM:SS +TIMEZONE)
-                    const time = datetime.split(' ')[1];
-                    // Clean up the message for display: remove "feat: " prefix and " saved as milestone" suffix
-                    const cleanMessage = message.replace(/^feat:\s*/, '').replace(/\s*saved as milestone$/, '');
-                    return { 
-                        hash, 
-                        message: cleanMessage, 
-                        date,
-                        time
-                    };
-                });
         } catch (error) {
-            console.error('Error getting milestones:', error);
-            return [];
-        }
-    }
-
-    private async getCurrentMilestone(): Promise<string | null> {
-        try {
-            const milestones = await this.getMilestones();
-            // Return the most recent milestone (first in the array) or null if none exist
-            return milestones.length > 0 ? milestones[0].message : null;
-        } catch (error) {
-            console.error('Error getting current milestone:', error);
-            return null;
+            log('Error checking for milestone changes:', error);
         }
     }
 
-    private async hasMilestones(): Promise<boolean> {
-        const workspacePath = this.getWorkspacePath();
+    public async createMilestoneInAllRepositories() {
         try {
-            // Check for milestone commits that are on the current branch but not on origin/HEAD
-            const { stdout } = await execAsync(`git log origin/HEAD.. --grep="^feat:.*saved as milestone" -n 1`, { cwd: workspacePath });
-            return !!stdout.trim();
+            const repositories = await this.getRepositories();
+            if (repositories.length === 0) {
+                vscode.window.showErrorMessage('No git repository found in this workspace');
+                return;
+            }
+            await this.createMilestoneIn(repositories);
         } catch (error) {
-            console.error('Error checking for milestones:', error);
-            return false;
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to create milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to create milestone: Unknown error');
+            }
         }
     }
 
-    private setupBranchWatcher() {
-        // Clean up existing watcher
-        this.cleanupBranchWatcher();
-
+    private async createMilestoneIn(targets: MilestoneRepository[]) {
+        // Check the branches first, so nobody types a note for a milestone that cannot be created
+        const checkpoints = this.getStorageMode() === 'checkpoints';
+        const blocked: string[] = [];
+        const allowed: MilestoneRepository[] = [];
+        for (const target of targets) {
+            try {
+                await checkBranchPolicy(
+                    target.root,
+                    this.getBaseBranches(),
+                    checkpoints ? 'save a checkpoint' : 'create a milestone',
+                    checkpoints
+                );
+                allowed.push(target);
+            } catch (error) {
+                if (!(error instanceof BranchPolicyError)) {
+                    throw error;
+                }
+                blocked.push(targets.length > 1 ? `${target.name}: ${error.message}` : error.message);
+            }
+        }
+        if (blocked.length === targets.length) {
+            vscode.window.showErrorMessage(blocked.join(' '));
+            return;
+        }
+
+        // Verify before asking for the note, a failing build usually means no milestone is wanted
+        const verifications = await this.verifyMilestone(allowed);
+        if (!verifications) {
+            return;
+        }
+
+        const details = await this.promptMilestoneDetails(allowed.length);
+
+        if (!details) {
+            return; // User cancelled
+        }
+
+        // Milestones created together share a group id so they can be matched up across repositories
+        const group = allowed.length > 1 ? new Date().toISOString() : undefined;
+        const push = checkpoints
+            ? this.getPushCheckpoints()
+            : await this.shouldPush(allowed.length > 1 ? 'the milestones' : 'the milestone');
+
+        // Repositories whose branch does not allow it are reported together with the failures
+        const failures = [...blocked];
+        let created = 0;
+        let unpushed = 0;
+        let aborted = 0;
+        for (const target of allowed) {
+            try {
+                const { pushed } = await this.runExclusive(
+                    target.root,
+                    `${checkpoints ? 'Saving checkpoint' : 'Creating milestone'} in ${target.name}`,
+                    signal => this.commitMilestone(
+                        target.root,
+                        { ...details, verification: verifications.get(target.root) },
+                        group,
+                        push,
+                        true,
+                        signal
+                    )
+                );
+                created++;
+                if (!pushed) {
+                    unpushed++;
+                }
+            } catch (error) {
+                if (error instanceof MilestoneAbortedError) {
+                    aborted++;
+                    continue;
+                }
+                if (targets.length === 1) {
+                    throw error;
+                }
+                failures.push(`${target.name}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+            }
+        }
+
+        if (aborted === allowed.length && blocked.length === 0) {
+            return;
+        }
+
+        if (aborted > 0) {
+            failures.push(`${aborted} aborted before committing`);
+        }
+
+        if (failures.length === 0) {
+            let pushNote = '';
+            if (!push) {
+                pushNote = ' (saved locally, not pushed)';
+            } else if (unpushed > 0) {
+                pushNote = checkpoints
+                    ? ' The remote could not be reached - it will be pushed together with the next checkpoint.'
+                    : ' The remote could not be reached - it will be pushed automatically once it is available.';
+            }
+            const what = checkpoints ? 'Checkpoint saved' : 'Milestone created';
+            vscode.window.showInformationMessage(
+                (created > 1
+                    ? `${what} successfully in ${created} repositories!`
+                    : `${what} successfully!`) + pushNote
+            );
+        } else {
+            vscode.window.showErrorMessage(
+                `${checkpoints ? 'Checkpoint saved' : 'Milestone created'} in ${created} of ${targets.length} repositories. ${failures.join('; ')}`
+            );
+        }
+        this.updateStatusBar();
+        this.refreshTreeView();
+    }
+
+    // Runs the verification command or task of the verification settings in each repository.
+    // Returns the results, or undefined when the run was cancelled or failed and the user chose not
+    // to create the milestone anyway. Without a configured verification the results are empty
+    private async verifyMilestone(targets: MilestoneRepository[]): Promise<Map<string, MilestoneVerification> | undefined> {
+        const results = new Map<string, MilestoneVerification>();
+        const settings = getVerificationSettings();
+        if (!settings || targets.length === 0) {
+            return results;
+        }
+
+        const completed = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'Verifying before the milestone', cancellable: true },
+            async (progress, token) => {
+                // A task is not tied to a repository, so it runs once for all of them
+                for (const target of settings.task ? targets.slice(0, 1) : targets) {
+                    progress.report({
+                        message: settings.task ? `task '${settings.task}'` : `${settings.command} (${target.name})`
+                    });
+                    const result = await runVerification(target.root, settings, line => log(line), token);
+                    if (!result) {
+                        return false;
+                    }
+                    for (const verified of settings.task ? targets : [target]) {
+                        results.set(verified.root, result);
+                    }
+                }
+                return true;
+            }
+        );
+        if (!completed) {
+            return undefined;
+        }
+
+        const failed = targets.filter(target => !results.get(target.root)?.passed);
+        if (failed.length === 0) {
+            return results;
+        }
+        const where = targets.length > 1 ? ` in ${failed.map(target => target.name).join(', ')}` : '';
+        const answer = await vscode.window.showWarningMessage(
+            `Verification failed${where}. Create the milestone anyway?`,
+            {
+                modal: true,
+                detail: 'The milestone will be marked as not verified. The output is in the Milestone Manager log.'
+            },
+            'Create Anyway',
+            'Show Output'
+        );
+        if (answer === 'Show Output') {
+            outputChannel?.show();
+        }
+        return answer === 'Create Anyway' ? results : undefined;
+    }
+
+    // Returns the new milestone and whether it reached the remote. Non-interactive milestones
+    // (automatic or created through the API) cannot ask, so any scan finding aborts them.
+    // In checkpoint storage mode the milestone becomes a checkpoint and push follows checkpoints.push
+    private async commitMilestone(
+        workspacePath: string,
+        details: MilestoneDetails,
+        group: string | undefined,
+        push: boolean,
+        interactive: boolean,
+        signal?: AbortSignal
+    ): Promise<{ hash: string; pushed: boolean }> {
+        if (this.getStorageMode() === 'checkpoints') {
+            return this.saveCheckpoint(workspacePath, details, group, interactive, this.getPushCheckpoints(), signal);
+        }
+
+        const branch = await checkBranchPolicy(workspacePath, this.getBaseBranches(), 'create a milestone');
+
+        try {
+            // Remember the index so an aborted milestone leaves the staging area as it was
+            const { stdout: originalIndex } = await git(['write-tree'], { cwd: workspacePath });
+
+            // Add all files, then leave out ignored files and the ones unchecked in the review
+            await git(['add', '.'], { cwd: workspacePath });
+            if (!await this.filterIgnoredFiles(workspacePath, interactive) ||
+                !await this.reviewStagedFindings(workspacePath, interactive)) {
+                await git(['read-tree', originalIndex.trim()], { cwd: workspacePath });
+                throw new MilestoneAbortedError('Milestone aborted before committing');
+            }
+            // Automatic triggers fire again and again, an empty commit each time would bury the real milestones
+            if (details.auto && (await getStagedFiles(workspacePath)).length === 0) {
+                await git(['read-tree', originalIndex.trim()], { cwd: workspacePath });
+                throw new MilestoneAbortedError('Nothing to commit once ignored files are left out');
+            }
+
+            await commitMilestoneMessage(
+                workspacePath,
+                buildMilestoneMessage(details, this.getCommitMessageTemplate(), group),
+                signal
+            );
+            const { stdout: head } = await git(['rev-parse', 'HEAD'], { cwd: workspacePath });
+            const hash = head.trim();
+
+            if (!push) {
+                return { hash, pushed: false };
+            }
+
+            // A failed push is queued, the milestone itself is already saved
+            return { hash, pushed: await this.pushBranch(workspacePath, branch, undefined, signal) };
+        } catch (error) {
+            if (error instanceof MilestoneAbortedError) {
+                throw error;
+            }
+            if (error instanceof Error) {
+                throw new Error(`Git operation failed: ${error.message}`);
+            } else {
+                throw new Error('Git operation failed: Unknown error');
+            }
+        }
+    }
+
+    // Snapshots the working tree into a checkpoint of the current branch. Files are staged, reviewed
+    // and scanned like for a milestone, but in a throwaway index, so HEAD and the real index stay as they are
+    private async saveCheckpoint(
+        workspacePath: string,
+        details: MilestoneDetails,
+        group: string | undefined,
+        interactive: boolean,
+        push: boolean,
+        signal?: AbortSignal
+    ): Promise<{ hash: string; pushed: boolean }> {
+        // Checkpoints leave the branch alone, so protected branches may have them
+        const branch = await checkBranchPolicy(workspacePath, this.getBaseBranches(), 'save a checkpoint', true);
+
+        const tree = await withWorkingTreeIndex(workspacePath, async env => {
+            if (!await this.filterIgnoredFiles(workspacePath, interactive, env) ||
+                !await this.reviewStagedFindings(workspacePath, interactive, env)) {
+                throw new MilestoneAbortedError('Checkpoint aborted before saving');
+            }
+            const { stdout } = await git(['write-tree'], { cwd: workspacePath, env });
+            return stdout.trim();
+        });
+
+        // The working tree stays dirty after a checkpoint, so automatic triggers would save the same state again
+        const [latest] = await listCheckpoints(workspacePath, branch);
+        if (!interactive && latest) {
+            const { stdout: latestTree } = await git(['rev-parse', `${latest.hash}^{tree}`], { cwd: workspacePath });
+            if (latestTree.trim() === tree) {
+                throw new MilestoneAbortedError('Nothing changed since the last checkpoint');
+            }
+        }
+
+        const { hash } = await writeCheckpoint(
+            workspacePath,
+            branch,
+            tree,
+            buildMilestoneMessage(details, this.getCommitMessageTemplate(), group)
+        );
+        if (!push) {
+            return { hash, pushed: false };
+        }
+
+        try {
+            await pushCheckpoints(workspacePath, this.getRemoteName(workspacePath), branch, signal);
+            return { hash, pushed: true };
+        } catch (error) {
+            // Not queued: the next checkpoint pushes all of the branch's checkpoints again
+            log('Pushing checkpoints failed, they are kept locally:', error);
+            return { hash, pushed: false };
+        }
+    }
+
+    // Looks for secrets, .env files and large files in what is about to be committed.
+    // Returns false when the milestone should not be created
+    private async reviewStagedFindings(workspacePath: string, interactive: boolean, env?: NodeJS.ProcessEnv): Promise<boolean> {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        if (!config.get<boolean>('scan.enabled', true)) {
+            return true;
+        }
+        const maxFileSizeKB = config.get<number>('scan.maxFileSizeKB', 1024);
+
+        while (true) {
+            const allowlist = readAllowlist(workspacePath);
+            const findings = (await scanStagedChanges(workspacePath, maxFileSizeKB, env))
+                .filter(finding => !isAllowlisted(finding, allowlist));
+
+            if (findings.length === 0) {
+                return true;
+            }
+            if (!interactive) {
+                log(`Pre-commit scan found ${findings.length} problem(s) in`, workspacePath);
+                return false;
+            }
+
+            const selected = await vscode.window.showQuickPick(
+                findings.map(finding => ({
+                    label: `$(warning) ${finding.path}${finding.line ? `:${finding.line}` : ''}`,
+                    description: finding.description,
+                    picked: true,
+                    finding
+                })),
+                {
+                    title: `Pre-commit scan: ${findings.length} potential problem${findings.length === 1 ? '' : 's'} in ${path.basename(workspacePath)}`,
+                    placeHolder: 'Select the findings to act on',
+                    canPickMany: true,
+                    ignoreFocusOut: true
+                }
+            );
+            if (!selected) {
+                return false;
+            }
+
+            const selectedFindings: ScanFinding[] = selected.map(item => item.finding);
+            const action = await vscode.window.showQuickPick(
+                [
+                    { label: '$(remove) Unstage selected files', description: 'Leave them out of this milestone', action: 'unstage' },
+                    { label: '$(pass) Allowlist selected findings', description: `Remember them in ${ALLOWLIST_FILE}`, action: 'allowlist' },
+                    { label: '$(warning) Create milestone anyway', action: 'commit' },
+                    { label: '$(close) Abort milestone', action: 'abort' }
+                ],
+                {
+                    title: `${selectedFindings.length} of ${findings.length} findings selected`,
+                    placeHolder: 'What should happen with the selected findings?',
+                    ignoreFocusOut: true
+                }
+            );
+            if (!action || action.action === 'abort') {
+                return false;
+            }
+            if (action.action === 'commit') {
+                return true;
+            }
+
+            if (action.action === 'unstage') {
+                await unstageFiles(workspacePath, [...new Set(selectedFindings.map(finding => finding.path))], env);
+            } else {
+                addToAllowlist(workspacePath, selectedFindings);
+            }
+            // Scan again, unselected findings still need a decision
+        }
+    }
+
+    // Title, description and labels, with back navigation between the steps
+    private async promptMilestoneDetails(
+        repositoryCount: number,
+        initial?: MilestoneDetails,
+        heading = 'Rename Milestone'
+    ): Promise<MilestoneDetails | undefined> {
+        const details: MilestoneDetails = initial
+            ? { ...initial, labels: [...initial.labels] }
+            : { title: '', description: '', labels: [] };
+        let title = repositoryCount > 1 ? `Create Milestone (${repositoryCount} repositories)` : 'Create Milestone';
+        if (initial) {
+            title = heading;
+        }
+        const totalSteps = 3;
+
+        let step = 1;
+        while (step <= totalSteps) {
+            let result: string | string[] | typeof INPUT_BACK | undefined;
+            if (step === 1) {
+                result = await this.showInputStep({
+                    title, step, totalSteps,
+                    value: details.title,
+                    prompt: 'Enter an optional title for this milestone',
+                    placeholder: 'Milestone title'
+                });
+            } else if (step === 2) {
+                result = await this.showInputStep({
+                    title, step, totalSteps,
+                    value: details.description.replace(/\n/g, '\\n'),
+                    prompt: 'Enter an optional description (use \\n for a line break)',
+                    placeholder: 'What state is the code in?'
+                });
+            } else {
+                result = await this.showLabelStep(title, step, totalSteps, details.labels);
+            }
+
+            if (result === undefined) {
+                return undefined;
+            }
+            if (result === INPUT_BACK) {
+                step--;
+                continue;
+            }
+
+            if (step === 1) {
+                details.title = (result as string).trim();
+            } else if (step === 2) {
+                details.description = (result as string).replace(/\\n/g, '\n').trim();
+            } else {
+                details.labels = result as string[];
+            }
+            step++;
+        }
+
+        return details;
+    }
+
+    private showInputStep(options: {
+        title: string;
+        step: number;
+        totalSteps: number;
+        value: string;
+        prompt: string;
+        placeholder: string;
+    }): Promise<string | typeof INPUT_BACK | undefined> {
+        return new Promise(resolve => {
+            const input = vscode.window.createInputBox();
+            input.title = options.title;
+            input.step = options.step;
+            input.totalSteps = options.totalSteps;
+            input.value = options.value;
+            input.prompt = options.prompt;
+            input.placeholder = options.placeholder;
+            input.ignoreFocusOut = true;
+            input.buttons = options.step > 1 ? [vscode.QuickInputButtons.Back] : [];
+
+            let settled = false;
+            const finish = (result: string | typeof INPUT_BACK | undefined) => {
+                if (!settled) {
+                    settled = true;
+                    resolve(result);
+                    input.dispose();
+                }
+            };
+            input.onDidAccept(() => finish(input.value));
+            input.onDidTriggerButton(() => finish(INPUT_BACK));
+            input.onDidHide(() => finish(undefined));
+            input.show();
+        });
+    }
+
+    private showLabelStep(
+        title: string,
+        step: number,
+        totalSteps: number,
+        selected: string[]
+    ): Promise<string[] | typeof INPUT_BACK | undefined> {
+        return new Promise(resolve => {
+            const known = Array.from(new Set([...this.getMilestoneLabels(), ...selected]));
+            const picker = vscode.window.createQuickPick<vscode.QuickPickItem>();
+            picker.title = title;
+            picker.step = step;
+            picker.totalSteps = totalSteps;
+            picker.placeholder = 'Select labels, or type to add a new one';
+            picker.canSelectMany = true;
+            picker.ignoreFocusOut = true;
+            picker.buttons = [vscode.QuickInputButtons.Back];
+            picker.items = known.map(label => ({ label }));
+            picker.selectedItems = picker.items.filter(item => selected.includes(item.label));
+
+            // Offer whatever is typed as a new label
+            picker.onDidChangeValue(value => {
+                const custom = value.trim();
+                const current = picker.selectedItems;
+                const items = known.map(label => ({ label }));
+                if (custom && !known.includes(custom)) {
+                    items.unshift({ label: custom });
+                }
+                picker.items = items;
+                picker.selectedItems = items.filter(item => current.some(selectedItem => selectedItem.label === item.label));
+            });
+
+            let settled = false;
+            const finish = (result: string[] | typeof INPUT_BACK | undefined) => {
+                if (!settled) {
+                    settled = true;
+                    resolve(result);
+                    picker.dispose();
+                }
+            };
+            picker.onDidAccept(() => finish(picker.selectedItems.map(item => item.label)));
+            picker.onDidTriggerButton(() => finish(INPUT_BACK));
+            picker.onDidHide(() => finish(undefined));
+            picker.show();
+        });
+    }
+
+    public getMilestoneLabels(): string[] {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        return config.get<string[]>('labels', ['stable', 'wip', 'pre-refactor']);
+    }
+
+    public getCommitMessageTemplate(): string {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        return config.get<string>('commitMessageTemplate', DEFAULT_COMMIT_MESSAGE_TEMPLATE);
+    }
+
+    public async exportMilestones(repoPath?: string) {
+        try {
+            let workspacePath = repoPath;
+            if (!workspacePath) {
+                const picked = await this.pickRepositories(false);
+                if (!picked) {
+                    return;
+                }
+                workspacePath = picked[0].root;
+            }
+
+            const milestones = await this.getMilestones(workspacePath);
+            if (milestones.length === 0) {
+                vscode.window.showInformationMessage('No milestones found on the current branch');
+                return;
+            }
+
+            const branch = await getBranchName(workspacePath);
+            const scope = await this.pickExportScope(milestones, branch);
+            if (!scope) {
+                return; // User cancelled
+            }
+            if (scope.milestones.length === 0) {
+                vscode.window.showInformationMessage(`No milestones to export: ${scope.label}`);
+                return;
+            }
+
+            const format = await vscode.window.showQuickPick(
+                [
+                    { label: '$(clippy) Copy Markdown to Clipboard', detail: 'Paste it into a pull request description or standup notes', format: 'clipboard' as const },
+                    { label: '$(markdown) Save as Markdown...', detail: 'Note, timestamp, hash, changed files and diffstat of each milestone', format: 'markdown' as const },
+                    { label: '$(json) Save as JSON...', detail: 'Machine-readable report of the same data', format: 'json' as const },
+                    { label: `$(book) Append to ${CHANGELOG_FILE}`, detail: `Adds a section at the top of ${CHANGELOG_FILE} in the repository root`, format: 'changelog' as const }
+                ],
+                { placeHolder: `Export ${scope.milestones.length} milestone${scope.milestones.length === 1 ? '' : 's'}` }
+            );
+            if (!format) {
+                return; // User cancelled
+            }
+
+            const report = await this.buildMilestoneReport(workspacePath, branch, scope.label, scope.milestones);
+            const fileStem = `milestones-${(branch ?? 'detached').replace(/[^\w.-]+/g, '-')}`;
+
+            switch (format.format) {
+                case 'clipboard':
+                    await vscode.env.clipboard.writeText(formatMarkdownReport(report));
+                    vscode.window.showInformationMessage(`Copied ${report.milestones.length} milestone${report.milestones.length === 1 ? '' : 's'} as Markdown`);
+                    break;
+                case 'markdown':
+                case 'json': {
+                    const extension = format.format === 'json' ? 'json' : 'md';
+                    const uri = await vscode.window.showSaveDialog({
+                        defaultUri: vscode.Uri.file(path.join(workspacePath, `${fileStem}.${extension}`)),
+                        filters: format.format === 'json' ? { JSON: ['json'] } : { Markdown: ['md'] },
+                        title: 'Export Milestones'
+                    });
+                    if (!uri) {
+                        return;
+                    }
+                    const content = format.format === 'json' ? formatJsonReport(report) : formatMarkdownReport(report);
+                    await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+                    await vscode.window.showTextDocument(uri);
+                    break;
+                }
+                case 'changelog': {
+                    const changelogPath = path.join(workspacePath, CHANGELOG_FILE);
+                    const existing = fs.existsSync(changelogPath) ? fs.readFileSync(changelogPath, 'utf8') : '';
+                    fs.writeFileSync(changelogPath, insertChangelogSection(existing, formatChangelogSection(report)));
+                    await vscode.window.showTextDocument(vscode.Uri.file(changelogPath));
+                    break;
+                }
+            }
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to export milestones: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to export milestones: Unknown error');
+            }
+        }
+    }
+
+    // Milestones are newest first, so a range is a slice from the newer to the older end
+    private async pickExportScope(
+        milestones: Milestone[],
+        branch: string | null
+    ): Promise<{ label: string; milestones: Milestone[] } | undefined> {
+        const now = new Date();
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+        const scope = await vscode.window.showQuickPick(
+            [
+                { label: `All milestones on ${branch ?? 'detached HEAD'}`, description: `${milestones.length}`, scope: 'all' as const },
+                { label: 'Today', description: `${milestones.filter(milestone => milestone.date === today).length}`, scope: 'today' as const },
+                { label: 'Since a milestone...', scope: 'since' as const },
+                { label: 'Between two milestones...', scope: 'between' as const }
+            ],
+            { placeHolder: 'Select the milestones to export' }
+        );
+        if (!scope) {
+            return undefined;
+        }
+
+        const pick = async (candidates: Milestone[], placeHolder: string) => {
+            const picked = await vscode.window.showQuickPick(
+                candidates.map(milestone => ({
+                    label: milestone.message,
+                    description: `${milestone.date} ${milestone.time} (${milestone.hash.substring(0, 7)})`,
+                    milestone
+                })),
+                { placeHolder }
+            );
+            return picked ? milestones.indexOf(picked.milestone) : undefined;
+        };
+
+        switch (scope.scope) {
+            case 'all':
+                return { label: scope.label, milestones };
+            case 'today':
+                return { label: `Milestones of ${today}`, milestones: milestones.filter(milestone => milestone.date === today) };
+            case 'since': {
+                const index = await pick(milestones, 'Export this milestone and all newer ones');
+                if (index === undefined) {
+                    return undefined;
+                }
+                return { label: `Milestones since ${milestones[index].hash.substring(0, 7)}`, milestones: milestones.slice(0, index + 1) };
+            }
+            case 'between': {
+                const oldest = await pick(milestones, 'Select the oldest milestone to export');
+                if (oldest === undefined) {
+                    return undefined;
+                }
+                const newest = await pick(milestones.slice(0, oldest + 1), 'Select the newest milestone to export');
+                if (newest === undefined) {
+                    return undefined;
+                }
+                return {
+                    label: `Milestones ${milestones[oldest].hash.substring(0, 7)}..${milestones[newest].hash.substring(0, 7)}`,
+                    milestones: milestones.slice(newest, oldest + 1)
+                };
+            }
+        }
+    }
+
+    private async buildMilestoneReport(
+        workspacePath: string,
+        branch: string | null,
+        scope: string,
+        milestones: Milestone[]
+    ): Promise<MilestoneReport> {
+        const stats = await this.getDiffStats(workspacePath, milestones.map(milestone => milestone.hash));
+        const reportMilestones = [];
+        // Reports read oldest first, in the order the work happened
+        for (const milestone of [...milestones].reverse()) {
+            reportMilestones.push({
+                hash: milestone.hash,
+                title: milestone.message,
+                description: milestone.description,
+                labels: milestone.labels ?? [],
+                date: milestone.date,
+                time: milestone.time,
+                author: milestone.author,
+                auto: milestone.auto,
+                ...(stats.get(milestone.hash) ?? { filesChanged: 0, insertions: 0, deletions: 0 }),
+                files: await this.getMilestoneFiles(workspacePath, milestone.hash)
+            });
+        }
+
+        return {
+            repository: path.basename(workspacePath),
+            branch,
+            scope,
+            generatedAt: new Date().toISOString(),
+            milestones: reportMilestones
+        };
+    }
+
+    public async finalizeBranch(repoPath?: string) {
+        try {
+            let workspacePath = repoPath;
+            if (!workspacePath) {
+                const picked = await this.pickRepositories(false);
+                if (!picked) {
+                    return;
+                }
+                workspacePath = picked[0].root;
+            }
+
+            const branch = await this.checkBranch(workspacePath, 'finalize the branch');
+            if (!branch) {
+                return;
+            }
+
+            // Untracked files survive the squash untouched, so only changes to tracked files block it
+            const { stdout: status } = await git(['status', '--porcelain', '--untracked-files=no'], { cwd: workspacePath });
+            if (status.trim()) {
+                vscode.window.showErrorMessage('You have uncommitted changes. Create a milestone or stash them before finalizing the branch.');
+                return;
+            }
+
+            const base = await this.resolveBaseRef(workspacePath);
+            if (!base.commit) {
+                vscode.window.showErrorMessage('Could not determine where this branch starts. Configure a base ref first.');
+                return;
+            }
+
+            // Oldest first, the order the new commits are written in
+            const milestones = (await this.getMilestones(workspacePath)).reverse();
+            if (milestones.length === 0) {
+                vscode.window.showInformationMessage('There are no milestones to finalize on this branch');
+                return;
+            }
+
+            const groups = await this.pickFinalizeGroups(milestones);
+            if (!groups) {
+                return;
+            }
+
+            // Each group becomes one commit; ask for its message
+            const messages: string[] = [];
+            for (let i = 0; i < groups.length; i++) {
+                const group = groups[i];
+                const subject = await vscode.window.showInputBox({
+                    title: `Finalize Branch (${i + 1}/${groups.length})`,
+                    prompt: `Commit message for ${group.milestones.length} milestone${group.milestones.length === 1 ? '' : 's'}: ${group.milestones.map(milestone => milestone.message).join(', ')}`,
+                    value: group.milestones[group.milestones.length - 1].message,
+                    ignoreFocusOut: true,
+                    validateInput: (input) => input.trim() ? null : 'Commit message is required'
+                });
+                if (subject === undefined) {
+                    return; // User cancelled
+                }
+                messages.push(buildFinalizeMessage(subject, group));
+            }
+
+            const answer = await vscode.window.showWarningMessage(
+                `Rewrite ${branch} in ${path.basename(workspacePath)} into ${groups.length} commit${groups.length === 1 ? '' : 's'} on top of ${base.ref}? The current state is backed up first.`,
+                { modal: true },
+                'Yes, Finalize'
+            );
+
+            if (answer !== 'Yes, Finalize') {
+                return;
+            }
+
+            try {
+                await this.runExclusive(workspacePath, `Finalizing ${branch}`, async signal => {
+                    const backup = await createBackup(workspacePath, this.getRemoteName(workspacePath), branch, 'finalizing branch');
+
+                    const tip = await writeFinalizedCommits(workspacePath, base.commit!, groups, messages);
+
+                    // The final tree equals the current one, so a soft reset leaves index and working tree as they are
+                    await git(['reset', '--soft', tip], { cwd: workspacePath });
+
+                    let resultMessage = `Finalized ${branch} into ${groups.length} commit${groups.length === 1 ? '' : 's'} (local only)`;
+                    if (await this.shouldPush('the finalized branch')) {
+                        resultMessage = await this.pushBranch(workspacePath, branch, backup.remoteTip ?? '', signal)
+                            ? `Finalized ${branch} into ${groups.length} commit${groups.length === 1 ? '' : 's'} and updated the remote`
+                            : `Finalized ${branch}. The remote will be updated once it is reachable`;
+                    }
+
+                    this.updateStatusBar();
+                    this.refreshTreeView();
+                    vscode.window.showInformationMessage(resultMessage);
+                });
+            } catch (error) {
+                if (error instanceof Error) {
+                    throw new Error(`Git operation failed: ${error.message}`);
+                } else {
+                    throw new Error('Git operation failed: Unknown error');
+                }
+            }
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to finalize branch: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to finalize branch: Unknown error');
+            }
+        }
+    }
+
+    // Splits the milestones (oldest first) into consecutive groups that each become one commit
+    private async pickFinalizeGroups(milestones: Milestone[]): Promise<FinalizeGroup[] | undefined> {
+        const mode = await vscode.window.showQuickPick(
+            [
+                { label: '$(fold) Squash all milestones', detail: 'Everything on the branch becomes a single commit', grouped: false },
+                { label: '$(list-tree) Group milestones', detail: 'Choose where each new commit ends', grouped: true }
+            ],
+            { placeHolder: 'How should the milestones be combined?' }
+        );
+
+        if (!mode) {
+            return undefined;
+        }
+
+        if (!mode.grouped || milestones.length === 1) {
+            return groupMilestones(milestones, new Set());
+        }
+
+        // The last milestone always closes the last group, so it is not offered
+        const boundaries = await vscode.window.showQuickPick(
+            milestones.slice(0, -1).map(milestone => ({
+                label: milestone.message,
+                description: `${milestone.date} ${milestone.time} (${milestone.hash.substring(0, 7)})`,
+                milestone
+            })),
+            {
+                canPickMany: true,
+                placeHolder: 'Select the milestones after which a new commit starts'
+            }
+        );
+
+        if (!boundaries) {
+            return undefined;
+        }
+
+        return groupMilestones(milestones, new Set(boundaries.map(item => item.milestone.hash)));
+    }
+
+    public getAutoMilestoneTriggers(): AutoMilestoneTrigger[] {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        return config.get<AutoMilestoneTrigger[]>('autoMilestone.triggers', []);
+    }
+
+    private setupAutoMilestones() {
+        this.cleanupAutoMilestones();
+
+        const triggers = this.getAutoMilestoneTriggers();
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+
+        if (triggers.includes('interval')) {
+            const minutes = Math.max(1, config.get<number>('autoMilestone.intervalMinutes', 30));
+            this.autoMilestoneTimer = setInterval(() => this.createAutoMilestones('interval'), minutes * 60 * 1000);
+        }
+
+        if (triggers.includes('task')) {
+            this.autoMilestoneDisposables.push(
+                vscode.tasks.onDidEndTaskProcess(event => {
+                    const taskNames = vscode.workspace.getConfiguration('milestone-manager').get<string[]>('autoMilestone.taskNames', []);
+                    if (event.exitCode !== 0 || !taskNames.includes(event.execution.task.name)) {
+                        return;
+                    }
+                    // Tasks scoped to a folder only snapshot the repositories inside it
+                    const scope = event.execution.task.scope;
+                    const folder = typeof scope === 'object' ? scope.uri.fsPath : undefined;
+                    this.createAutoMilestones('task', event.execution.task.name, folder);
+                })
+            );
+        }
+
+        if (triggers.includes('beforePull')) {
+            this.watchIncomingChanges();
+        }
+
+        if (triggers.includes('windowBlur')) {
+            this.autoMilestoneDisposables.push(
+                vscode.window.onDidChangeWindowState(state => {
+                    if (!state.focused) {
+                        this.createAutoMilestones('windowBlur');
+                    }
+                })
+            );
+        }
+    }
+
+    private cleanupAutoMilestones() {
+        if (this.autoMilestoneTimer) {
+            clearInterval(this.autoMilestoneTimer);
+            this.autoMilestoneTimer = null;
+        }
+        this.autoMilestoneDisposables.forEach(disposable => disposable.dispose());
+        this.autoMilestoneDisposables = [];
+        this.incomingCounts.clear();
+    }
+
+    // The git extension has no "before pull" hook, so snapshot as soon as it reports new
+    // incoming commits - the point right before a pull or rebase would bring them in
+    private async watchIncomingChanges() {
+        const gitExtension = vscode.extensions.getExtension<GitExtension>('vscode.git');
+        if (!gitExtension) {
+            log('Git extension not available, cannot watch for incoming changes');
+            return;
+        }
+
+        try {
+            const git = (gitExtension.isActive ? gitExtension.exports : await gitExtension.activate()).getAPI(1);
+
+            const watch = (repository: GitExtensionRepository) => {
+                const root = path.normalize(repository.rootUri.fsPath);
+                this.incomingCounts.set(root, repository.state.HEAD?.behind ?? 0);
+                this.autoMilestoneDisposables.push(
+                    repository.state.onDidChange(() => {
+                        const behind = repository.state.HEAD?.behind ?? 0;
+                        const previous = this.incomingCounts.get(root) ?? 0;
+                        this.incomingCounts.set(root, behind);
+                        if (behind > previous) {
+                            this.createAutoMilestones('beforePull', undefined, root);
+                        }
+                    })
+                );
+            };
+
+            git.repositories.forEach(watch);
+            this.autoMilestoneDisposables.push(git.onDidOpenRepository(watch));
+        } catch (error) {
+            log('Error watching the git extension for incoming changes:', error);
+        }
+    }
+
+    // Creates an automatic milestone in every repository (below scopePath, if given) with uncommitted changes
+    public async createAutoMilestones(trigger: AutoMilestoneTrigger, detail?: string, scopePath?: string) {
+        if (this.autoMilestoneInProgress) {
+            return;
+        }
+        this.autoMilestoneInProgress = true;
+
+        try {
+            const scope = scopePath ? path.normalize(scopePath) : undefined;
+            const repositories = (await this.getRepositories()).filter(repo =>
+                !scope || repo.root === scope || repo.root.startsWith(scope + path.sep)
+            );
+
+            let created = 0;
+            for (const repository of repositories) {
+                if (await this.createAutoMilestone(repository.root, trigger, detail)) {
+                    created++;
+                }
+            }
+
+            if (created > 0) {
+                this.updateStatusBar();
+                this.refreshTreeView();
+            }
+        } catch (error) {
+            log('Error creating automatic milestones:', error);
+        } finally {
+            this.autoMilestoneInProgress = false;
+        }
+    }
+
+    private async createAutoMilestone(workspacePath: string, trigger: AutoMilestoneTrigger, detail?: string): Promise<boolean> {
+        // Window focus changes often, so don't snapshot on every blur
+        const lastCreated = this.lastAutoMilestone.get(workspacePath) ?? 0;
+        if (trigger === 'windowBlur' && Date.now() - lastCreated < AUTO_MILESTONE_MIN_GAP) {
+            return false;
+        }
+
+        // Never commit automatically to a protected branch, or in the middle of a merge or rebase.
+        // Checkpoints leave the branch alone, so they are fine on protected branches
+        try {
+            await checkBranchPolicy(workspacePath, this.getBaseBranches(), 'create an automatic milestone', this.getStorageMode() === 'checkpoints');
+        } catch (error) {
+            log('Skipping automatic milestone:', error instanceof Error ? error.message : error);
+            return false;
+        }
+
+        // Count what a milestone would contain, so changes to ignored files alone do not trigger one
+        const rules = this.getIgnoreRules(workspacePath);
+        const changedFiles = await withWorkingTreeIndex(workspacePath, async env => {
+            await unstageIgnoredFiles(workspacePath, rules, env);
+            return (await getStagedFiles(workspacePath, env)).length;
+        });
+        if (changedFiles === 0) {
+            return false;
+        }
+
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        const template = config.get<string>('autoMilestone.noteTemplate', 'Auto: {trigger} ({fileCount} files changed)');
+        const triggerName = detail ? `${trigger} ${detail}` : trigger;
+        // Task and file names end up in the trigger, so function replacers keep any $ in them literal
+        const title = template
+            .replace(/\{timestamp\}/g, () => new Date().toLocaleString())
+            .replace(/\{trigger\}/g, () => triggerName)
+            .replace(/\{fileCount\}/g, () => String(changedFiles));
+
+        try {
+            // Only push without asking - automatic milestones never prompt
+            await this.runExclusive(workspacePath, undefined, signal => this.commitMilestone(
+                workspacePath,
+                { title, description: '', labels: [], auto: triggerName },
+                undefined,
+                this.getPushMode() === 'always',
+                false,
+                signal
+            ));
+            this.lastAutoMilestone.set(workspacePath, Date.now());
+            log('Created automatic milestone in', workspacePath, 'for trigger', triggerName);
+            return true;
+        } catch (error) {
+            log('Error creating automatic milestone:', error);
+            return false;
+        }
+    }
+
+    public async pruneAutoMilestones(repoPath?: string) {
+        try {
+            let workspacePath = repoPath;
+            if (!workspacePath) {
+                const picked = await this.pickRepositories(false);
+                if (!picked) {
+                    return;
+                }
+                workspacePath = picked[0].root;
+            }
+
+            const branch = await this.checkBranch(workspacePath, 'prune automatic milestones');
+            if (!branch) {
+                return;
+            }
+
+            const base = await this.resolveBaseRef(workspacePath);
+            if (!base.commit) {
+                vscode.window.showErrorMessage('Could not determine where this branch starts. Configure a base ref first.');
+                return;
+            }
+
+            const keepLatest = Math.max(0, vscode.workspace.getConfiguration('milestone-manager').get<number>('autoMilestone.keepLatest', 5));
+            const autoMilestones = (await this.getMilestones(workspacePath)).filter(milestone => milestone.auto);
+            const toDrop = new Set(autoMilestones.slice(keepLatest).map(milestone => milestone.hash));
+
+            // Oldest first, each line is "<commit> <parents...>"
+            const { stdout: revList } = await git(['rev-list', '--reverse', '--parents', `${base.commit}..HEAD`], { cwd: workspacePath });
+            const commits = revList.split('\n').filter(line => line.trim()).map(line => line.trim().split(' '));
+            if (commits.some(parts => parts.length > 2)) {
+                vscode.window.showErrorMessage('This branch contains merge commits. Automatic milestones can only be pruned from a linear history.');
+                return;
+            }
+
+            // The last commit is always kept so the branch ends on the current tree
+            if (commits.length > 0) {
+                toDrop.delete(commits[commits.length - 1][0]);
+            }
+            if (toDrop.size === 0) {
+                vscode.window.showInformationMessage(`Nothing to prune - there are ${autoMilestones.length} automatic milestones and ${keepLatest} are kept`);
+                return;
+            }
+
+            const answer = await vscode.window.showWarningMessage(
+                `Remove ${toDrop.size} automatic milestone${toDrop.size === 1 ? '' : 's'} from ${branch}? Their changes are kept in the following commits and the current state is backed up first.`,
+                { modal: true },
+                'Yes, Prune'
+            );
+
+            if (answer !== 'Yes, Prune') {
+                return;
+            }
+
+            try {
+                await this.runExclusive(workspacePath, 'Pruning automatic milestones', async signal => {
+                    const backup = await createBackup(workspacePath, this.getRemoteName(workspacePath), branch, 'pruning automatic milestones');
+
+                    const kept = commits.map(parts => parts[0]).filter(commit => !toDrop.has(commit));
+                    const tip = await replayCommits(workspacePath, base.commit!, kept);
+                    await git(['reset', '--soft', tip], { cwd: workspacePath });
+
+                    if (await this.shouldPush('the pruned branch')) {
+                        await this.pushBranch(workspacePath, branch, backup.remoteTip ?? '', signal);
+                    }
+
+                    this.updateStatusBar();
+                    this.refreshTreeView();
+                    vscode.window.showInformationMessage(`Pruned ${toDrop.size} automatic milestone${toDrop.size === 1 ? '' : 's'}`);
+                });
+            } catch (error) {
+                if (error instanceof Error) {
+                    throw new Error(`Git operation failed: ${error.message}`);
+                } else {
+                    throw new Error('Git operation failed: Unknown error');
+                }
+            }
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to prune automatic milestones: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to prune automatic milestones: Unknown error');
+            }
+        }
+    }
+
+    private async pickMilestone(workspacePath: string, placeHolder: string): Promise<Milestone | undefined> {
+        const milestones = await this.getMilestones(workspacePath);
+        if (milestones.length === 0) {
+            vscode.window.showInformationMessage('No milestones found on the current branch');
+            return undefined;
+        }
+
+        const picked = await vscode.window.showQuickPick(
+            milestones.map(milestone => ({
+                label: milestone.verification
+                    ? `${milestone.verification.passed ? '$(pass)' : '$(error)'} ${milestone.message}`
+                    : milestone.message,
+                description: `${milestone.date} ${milestone.time} (${milestone.hash.substring(0, 7)})`,
+                milestone
+            })),
+            { placeHolder }
+        );
+        return picked?.milestone;
+    }
+
+    // Reverts to the newest milestone whose verification passed, skipping unverified and failed ones
+    public async revertToLastVerifiedMilestone(repoPath?: string) {
+        try {
+            const workspacePath = repoPath ?? (await this.pickRepositories(false))?.[0].root;
+            if (!workspacePath) {
+                return;
+            }
+
+            const milestones = await this.getMilestones(workspacePath);
+            const verified = milestones.find(milestone => milestone.verification?.passed);
+            if (!verified) {
+                vscode.window.showInformationMessage('No milestone on this branch passed verification');
+                return;
+            }
+            await this.revertToMilestone(verified.hash, workspacePath);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to revert to milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to revert to milestone: Unknown error');
+            }
+        }
+    }
+
+    public async revertToMilestone(hash?: string, repoPath?: string, mode?: RestoreMode) {
+        try {
+            const target = await this.resolveMilestone(hash, repoPath, 'Select a milestone to revert to');
+            if (!target) {
+                return;
+            }
+            await this.revertToMilestoneIn(target.workspacePath, target.hash, mode);
+        } catch (error) {
+            if (error instanceof BranchPolicyError) {
+                vscode.window.showErrorMessage(error.message);
+            } else if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to reset to milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to reset to milestone: Unknown error');
+            }
+        }
+    }
+
+    // Throws when the milestone cannot be restored, so API callers learn about it.
+    // Returns quietly when the user cancels a prompt or there is nothing to do
+    private async revertToMilestoneIn(workspacePath: string, hash: string, mode?: RestoreMode) {
+        if (!await isGitRepository(workspacePath)) {
+            throw new Error(`${workspacePath} is not a git repository`);
+        }
+
+        if (!mode) {
+            mode = await this.pickRestoreMode();
+            if (!mode) {
+                return; // User cancelled
+            }
+        }
+
+        switch (mode) {
+            case 'reset':
+                await this.resetToMilestone(workspacePath, hash);
+                break;
+            case 'branch':
+                await this.checkoutMilestoneBranch(workspacePath, hash);
+                break;
+            case 'revert':
+                await this.revertCommitsAfterMilestone(workspacePath, hash);
+                break;
+            case 'files':
+                await this.restoreFilesFromMilestone(workspacePath, hash);
+                break;
+        }
+    }
+
+    private async pickRestoreMode(): Promise<RestoreMode | undefined> {
+        const picked = await vscode.window.showQuickPick(
+            [
+                {
+                    label: '$(discard) Reset branch',
+                    description: 'Hard reset and force push',
+                    detail: 'Rewrites the current branch so it ends at the milestone. Not allowed on protected branches',
+                    mode: 'reset' as RestoreMode
+                },
+                {
+                    label: '$(git-branch) Check out into a new branch',
+                    description: 'Leaves the current branch untouched',
+                    detail: 'Creates a new branch starting at the milestone and switches to it',
+                    mode: 'branch' as RestoreMode
+                },
+                {
+                    label: '$(history) Revert later commits',
+                    description: 'No history rewrite, no force push',
+                    detail: 'Adds revert commits that undo everything after the milestone. Safe on shared branches',
+                    mode: 'revert' as RestoreMode
+                },
+                {
+                    label: '$(files) Restore selected files',
+                    description: 'Working tree and index, no commit',
+                    detail: 'Brings back chosen files or folders as they were at the milestone, staged as well',
+                    mode: 'files' as RestoreMode
+                }
+            ],
+            { placeHolder: 'How do you want to restore this milestone?' }
+        );
+        return picked?.mode;
+    }
+
+    private async resetToMilestone(workspacePath: string, hash: string) {
+        // Resetting rewrites history, which protected branches never allow
+        const currentBranch = await checkBranchPolicy(workspacePath, this.getBaseBranches(), 'reset and force push');
+
+        // Confirm with the user
+        const answer = await vscode.window.showWarningMessage(
+            `Are you sure you want to reset ${currentBranch} in ${path.basename(workspacePath)} to this milestone? This will restore the state exactly as it was at this milestone.`,
+            { modal: true },
+            'Yes, Reset'
+        );
+
+        if (answer !== 'Yes, Reset') {
+            return;
+        }
+
+        try {
+            await this.runExclusive(workspacePath, `Resetting ${currentBranch} to milestone ${hash.substring(0, 7)}`, async signal => {
+                // Snapshot HEAD, index, working tree and the remote tip so the revert can be undone
+                const backup = await createBackup(workspacePath, this.getRemoteName(workspacePath), currentBranch, `revert to ${hash.substring(0, 7)}`);
+
+                // Add any modified files to make sure they're tracked
+                await git(['add', '-A'], { cwd: workspacePath });
+            
+                // Reset the index and working directory to the milestone
+                await git(['reset', '--hard', hash], { cwd: workspacePath });
+            
+                // Clean up any untracked files
+                await git(['clean', '-fd'], { cwd: workspacePath });
+            
+                // Force push to update remote, but only over the tip we saw before the reset
+                let resultMessage = 'Successfully reset to milestone (local only)';
+                if (await this.shouldPush('the reset branch')) {
+                    resultMessage = await this.pushBranch(workspacePath, currentBranch, backup.remoteTip ?? '', signal)
+                        ? 'Successfully reset to milestone and updated remote'
+                        : 'Successfully reset to milestone. The remote will be updated once it is reachable';
+                }
+            
+                this.updateStatusBar();
+                this.refreshTreeView();
+                vscode.window.showInformationMessage(resultMessage, 'Undo')
+                    .then(choice => {
+                        if (choice === 'Undo') {
+                            this.restoreBackup(backup.ref, workspacePath);
+                        }
+                    });
+            });
+        } catch (error) {
+            if (error instanceof Error) {
+                throw new Error(`Git operation failed: ${error.message}`);
+            } else {
+                throw new Error('Git operation failed: Unknown error');
+            }
+        }
+    }
+
+    private async promptBranchName(workspacePath: string, hash: string): Promise<string | undefined> {
+        const newBranch = await vscode.window.showInputBox({
+            prompt: 'Enter a name for the new branch',
+            value: `milestone-${hash.substring(0, 7)}`,
+            validateInput: async (input) => {
+                if (!input.trim()) {
+                    return 'Branch name is required';
+                }
+                try {
+                    await git(['check-ref-format', '--branch', input.trim()], { cwd: workspacePath });
+                } catch {
+                    return 'Invalid branch name';
+                }
+                try {
+                    await git(['rev-parse', '--verify', '--quiet', `refs/heads/${input.trim()}`], { cwd: workspacePath });
+                    return 'A branch with this name already exists';
+                } catch {
+                    return null;
+                }
+            }
+        });
+        return newBranch?.trim();
+    }
+
+    private async checkoutMilestoneBranch(workspacePath: string, hash: string) {
+        const newBranch = await this.promptBranchName(workspacePath, hash);
+        if (newBranch === undefined) {
+            return; // User cancelled
+        }
+
+        try {
+            // Uncommitted changes are carried over to the new branch when git can do so without conflicts
+            await this.runExclusive(workspacePath, undefined, () =>
+                git(['checkout', '-b', newBranch, hash], { cwd: workspacePath })
+            );
+
+            vscode.window.showInformationMessage(`Checked out milestone ${hash.substring(0, 7)} into new branch '${newBranch}'`);
+            this.updateStatusBar();
+            this.refreshTreeView();
+        } catch (error) {
+            if (error instanceof Error) {
+                throw new Error(`Git operation failed: ${error.message}`);
+            } else {
+                throw new Error('Git operation failed: Unknown error');
+            }
+        }
+    }
+
+    private async revertCommitsAfterMilestone(workspacePath: string, hash: string) {
+        // Revert commits do not rewrite history, so they are the way back on protected branches
+        const currentBranch = await checkBranchPolicy(workspacePath, this.getBaseBranches(), 'revert commits', true);
+
+        const { stdout: status } = await git(['status', '--porcelain', '--untracked-files=no'], { cwd: workspacePath });
+        if (status.trim()) {
+            throw new Error('You have uncommitted changes. Create a milestone or stash them before reverting commits.');
+        }
+
+        const { stdout: countOutput } = await git(['rev-list', '--count', `${hash}..HEAD`], { cwd: workspacePath });
+        const count = parseInt(countOutput.trim(), 10);
+        if (count === 0) {
+            vscode.window.showInformationMessage('There are no commits after this milestone');
+            return;
+        }
+
+        const answer = await vscode.window.showWarningMessage(
+            `Add revert commits for the ${count} commit${count === 1 ? '' : 's'} made on ${currentBranch} after this milestone? History is kept and no force push is needed.`,
+            { modal: true },
+            'Yes, Revert'
+        );
+
+        if (answer !== 'Yes, Revert') {
+            return;
+        }
+
+        try {
+            await this.runExclusive(workspacePath, `Reverting commits after milestone ${hash.substring(0, 7)}`, async signal => {
+                await createBackup(workspacePath, this.getRemoteName(workspacePath), currentBranch, `revert to ${hash.substring(0, 7)}`);
+
+                try {
+                    // Reverts newest first, one commit per reverted commit
+                    await git(['revert', '--no-edit', `${hash}..HEAD`], { cwd: workspacePath });
+                } catch (revertError) {
+                    await git(['revert', '--abort'], { cwd: workspacePath }).catch(() => undefined);
+                    throw revertError;
+                }
+
+                const pushed = await this.shouldPush('the revert commits') && await this.pushBranch(workspacePath, currentBranch, undefined, signal);
+
+                this.updateStatusBar();
+                this.refreshTreeView();
+                vscode.window.showInformationMessage(
+                    pushed
+                        ? `Reverted ${count} commit${count === 1 ? '' : 's'} and pushed to the remote`
+                        : `Reverted ${count} commit${count === 1 ? '' : 's'} locally`
+                );
+            });
+        } catch (error) {
+            if (error instanceof Error) {
+                throw new Error(`Git operation failed: ${error.message}`);
+            } else {
+                throw new Error('Git operation failed: Unknown error');
+            }
+        }
+    }
+
+    private async restoreFilesFromMilestone(workspacePath: string, hash: string) {
+        const files = await getChangedFiles(workspacePath, hash);
+        if (files.length === 0) {
+            vscode.window.showInformationMessage('The working tree already matches this milestone');
+            return;
+        }
+
+        // Offer each changed folder as well as the individual files
+        const folders = new Set<string>();
+        for (const file of files) {
+            let dir = path.posix.dirname(file.path);
+            while (dir !== '.') {
+                folders.add(dir);
+                dir = path.posix.dirname(dir);
+            }
+        }
+
+        const items: (vscode.QuickPickItem & { pathspec: string })[] = [
+            ...Array.from(folders).sort().map(folder => ({
+                label: `$(folder) ${folder}/`,
+                description: `${files.filter(file => file.path.startsWith(folder + '/')).length} changed files`,
+                pathspec: folder
+            })),
+            ...files.map(file => ({
+                label: `$(file) ${file.path}`,
+                description: file.status === 'A' ? 'not in milestone - will be removed' : file.status,
+                pathspec: file.path
+            }))
+        ];
+
+        const picked = await vscode.window.showQuickPick(items, {
+            canPickMany: true,
+            placeHolder: 'Select files or folders to restore from the milestone'
+        });
+
+        if (!picked || picked.length === 0) {
+            return;
+        }
+
+        try {
+            await this.runExclusive(workspacePath, `Restoring files from milestone ${hash.substring(0, 7)}`, async () => {
+                const branch = await getBranchName(workspacePath) ?? 'HEAD';
+                await createBackup(workspacePath, this.getRemoteName(workspacePath), branch, `restoring files from ${hash.substring(0, 7)}`);
+
+                // Files that did not exist at the milestone are removed, matching the milestone state.
+                // Literal pathspecs, so names with *, ? or [ do not restore other files too
+                await git(
+                    ['restore', `--source=${hash}`, '--staged', '--worktree', '--pathspec-from-file=-', '--pathspec-file-nul'],
+                    { cwd: workspacePath, env: { GIT_LITERAL_PATHSPECS: '1' }, input: picked.map(item => item.pathspec).join('\0') }
+                );
+
+                vscode.window.showInformationMessage(
+                    `Restored ${picked.length} path${picked.length === 1 ? '' : 's'} from milestone ${hash.substring(0, 7)}`
+                );
+                this.refreshTreeView();
+            });
+        } catch (error) {
+            if (error instanceof Error) {
+                throw new Error(`Git operation failed: ${error.message}`);
+            } else {
+                throw new Error('Git operation failed: Unknown error');
+            }
+        }
+    }
+
+    public async getMilestones(workspacePath: string, limit?: number): Promise<Milestone[]> {
+        try {
+            // Get all milestone commits that are on the current branch but not on its base
+            // This shows only commits unique to the current branch.
+            const range = getMilestoneRange(await this.resolveBaseRef(workspacePath));
+            return await listMilestones(workspacePath, range, limit);
+        } catch (error) {
+            log('Error getting milestones:', error);
+            return [];
+        }
+    }
+
+    // Checkpoints of the current branch, newest first
+    public async getCheckpoints(workspacePath: string): Promise<Milestone[]> {
+        try {
+            const branch = await getBranchName(workspacePath);
+            return branch ? await listCheckpoints(workspacePath, branch) : [];
+        } catch (error) {
+            log('Error getting checkpoints:', error);
+            return [];
+        }
+    }
+
+    // Brings the working tree back to a checkpoint without touching the branch or the index.
+    // The current state is saved as a checkpoint first, so the restore can be undone the same way
+    public async restoreCheckpoint(hash?: string, repoPath?: string) {
+        try {
+            const workspacePath = repoPath ?? (await this.pickRepositories(false))?.[0].root;
+            if (!workspacePath) {
+                return;
+            }
+
+            const checkpoints = await this.getCheckpoints(workspacePath);
+            let checkpoint = checkpoints.find(candidate => candidate.hash === hash);
+            if (!hash) {
+                if (checkpoints.length === 0) {
+                    vscode.window.showInformationMessage('There are no checkpoints on this branch');
+                    return;
+                }
+                checkpoint = (await vscode.window.showQuickPick(
+                    checkpoints.map(candidate => ({
+                        label: candidate.message,
+                        description: `${candidate.date} ${candidate.time} (${candidate.hash.substring(0, 7)})`,
+                        checkpoint: candidate
+                    })),
+                    { placeHolder: 'Select a checkpoint to restore' }
+                ))?.checkpoint;
+                if (!checkpoint) {
+                    return;
+                }
+            }
+            if (!checkpoint) {
+                vscode.window.showErrorMessage('This checkpoint does not belong to the current branch');
+                return;
+            }
+            const target = checkpoint;
+            const shortHash = target.hash.substring(0, 7);
+
+            // Ignored files are never part of a checkpoint, so they are left as they are
+            const rules = this.getIgnoreRules(workspacePath);
+            const changedSince = async (tree: string) => (await getChangedFiles(workspacePath, tree, target.hash))
+                .filter(file => !findIgnoreRule(file.path, rules));
+
+            const files = await changedSince(await snapshotWorkingTree(workspacePath, rules));
+            if (files.length === 0) {
+                vscode.window.showInformationMessage('The working tree already matches this checkpoint');
+                return;
+            }
+
+            const answer = await vscode.window.showWarningMessage(
+                `Restore checkpoint '${target.message}'? ${files.length} file${files.length === 1 ? '' : 's'} in the working tree will be brought back to its state. ` +
+                'The branch and the staged changes are not touched, and the current state is saved as a checkpoint first.',
+                { modal: true },
+                'Restore'
+            );
+            if (answer !== 'Restore') {
+                return;
+            }
+
+            await this.runExclusive(workspacePath, `Restoring checkpoint ${shortHash}`, async () => {
+                const branch = await getBranchName(workspacePath);
+                if (!branch) {
+                    throw new Error('Cannot restore a checkpoint in detached HEAD state');
+                }
+
+                // Snapshot again, files may have changed while the confirmation was open
+                const current = await snapshotWorkingTree(workspacePath, rules);
+                await writeCheckpoint(
+                    workspacePath,
+                    branch,
+                    current,
+                    buildMilestoneMessage(
+                        { title: `Before restoring checkpoint ${shortHash}`, description: '', labels: [], auto: 'before restore' },
+                        this.getCommitMessageTemplate()
+                    )
+                );
+                await restoreCheckpointFiles(workspacePath, target.hash, await changedSince(current));
+            });
+
+            vscode.window.showInformationMessage(`Restored checkpoint '${target.message}' into the working tree`);
+            this.refreshTreeView();
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to restore checkpoint: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to restore checkpoint: Unknown error');
+            }
+        }
+    }
+
+    public async deleteCheckpoint(ref: string, repoPath: string) {
+        try {
+            const answer = await vscode.window.showWarningMessage(
+                `Delete checkpoint ${ref.substring(CHECKPOINT_REF_PREFIX.length)}? It can no longer be restored afterwards.`,
+                { modal: true },
+                'Delete'
+            );
+            if (answer !== 'Delete') {
+                return;
+            }
+
+            await git(['update-ref', '-d', ref], { cwd: repoPath });
+            if (this.getPushCheckpoints()) {
+                const remote = this.getRemoteName(repoPath);
+                try {
+                    await git(['push', remote, '--delete', ref], { cwd: repoPath, timeout: REMOTE_TIMEOUT });
+                } catch (error) {
+                    log('Could not delete the checkpoint on the remote:', error);
+                }
+            }
+            this.refreshTreeView();
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to delete checkpoint: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to delete checkpoint: Unknown error');
+            }
+        }
+    }
+
+    // The milestone open files are compared with: the one picked with "Use as Comparison Baseline"
+    // while it is still on the branch, otherwise the latest milestone or checkpoint
+    public async getComparisonBaseline(workspacePath: string): Promise<Milestone | undefined> {
+        const pinned = this.getPinnedBaseline(workspacePath);
+        if (pinned) {
+            const entries = [...await this.getMilestones(workspacePath), ...await this.getCheckpoints(workspacePath)];
+            const baseline = entries.find(entry => entry.hash === pinned);
+            if (baseline) {
+                return baseline;
+            }
+        }
+        return this.getLatestMilestone(workspacePath);
+    }
+
+    // The newest milestone or checkpoint of the current branch
+    private async getLatestMilestone(workspacePath: string): Promise<Milestone | undefined> {
+        const entries = [...await this.getMilestones(workspacePath, 1), ...await this.getCheckpoints(workspacePath)];
+        return entries.sort((a, b) => b.timestamp - a.timestamp)[0];
+    }
+
+    public getPinnedBaseline(workspacePath: string): string | undefined {
+        return this.context.workspaceState.get<Record<string, string>>(COMPARISON_BASELINES_KEY, {})[workspacePath];
+    }
+
+    // Without a hash the user picks a milestone, or goes back to following the latest one
+    public async setComparisonBaseline(hash?: string, repoPath?: string) {
+        try {
+            const workspacePath = repoPath ?? (await this.pickRepositories(false))?.[0].root;
+            if (!workspacePath) {
+                return;
+            }
+
+            if (!hash) {
+                const entries = [...await this.getMilestones(workspacePath), ...await this.getCheckpoints(workspacePath)]
+                    .sort((a, b) => b.timestamp - a.timestamp);
+                const pinned = this.getPinnedBaseline(workspacePath);
+                const picked = await vscode.window.showQuickPick(
+                    [
+                        {
+                            label: '$(milestone) Latest milestone',
+                            description: pinned ? undefined : 'current',
+                            detail: 'Follows each new milestone or checkpoint',
+                            hash: undefined as string | undefined
+                        },
+                        ...entries.map(entry => ({
+                            label: entry.message,
+                            description: `${entry.checkpoint ? 'checkpoint · ' : ''}${entry.date} ${entry.time} (${entry.hash.substring(0, 7)})${entry.hash === pinned ? ' · current' : ''}`,
+                            detail: undefined,
+                            hash: entry.hash as string | undefined
+                        }))
+                    ],
+                    { placeHolder: 'Select the milestone to compare open files with' }
+                );
+                if (!picked) {
+                    return;
+                }
+                hash = picked.hash;
+            }
+
+            const baselines = { ...this.context.workspaceState.get<Record<string, string>>(COMPARISON_BASELINES_KEY, {}) };
+            if (hash) {
+                baselines[workspacePath] = hash;
+            } else {
+                delete baselines[workspacePath];
+            }
+            await this.context.workspaceState.update(COMPARISON_BASELINES_KEY, baselines);
+            this.changeIndicators.refresh(workspacePath);
+            this.treeDataProvider.refreshRepository(workspacePath);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to set the comparison baseline: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to set the comparison baseline: Unknown error');
+            }
+        }
+    }
+
+    public async openChangesSinceMilestone(uri?: vscode.Uri) {
+        const target = uri ?? vscode.window.activeTextEditor?.document.uri;
+        if (!target || target.scheme !== 'file') {
+            vscode.window.showInformationMessage('Open a file of the repository to see its changes since the last milestone');
+            return;
+        }
+        try {
+            await this.changeIndicators.openChanges(target);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to open changes: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to open changes: Unknown error');
+            }
+        }
+    }
+
+    public getConfiguredBaseRef(workspacePath: string): string {
+        const config = vscode.workspace.getConfiguration('milestone-manager', vscode.Uri.file(workspacePath));
+        return config.get<string>('baseRef', '').trim();
+    }
+
+    // The settings the shared milestone core needs, as VS Code resolves them for this repository
+    private getMilestoneSettings(workspacePath: string): MilestoneSettings {
+        const config = vscode.workspace.getConfiguration('milestone-manager', vscode.Uri.file(workspacePath));
+        return {
+            additionalBaseBranches: config.get<string>('additionalBaseBranches', ''),
+            ignoredFilesPattern: this.getIgnoredFilesPattern(),
+            ignoredFileGlobs: config.get<string[]>('ignoredFileGlobs', []),
+            commitMessageTemplate: this.getCommitMessageTemplate(),
+            baseRef: this.getConfiguredBaseRef(workspacePath),
+            remoteName: this.getRemoteName(workspacePath),
+            pushMode: this.getPushMode(),
+            scanEnabled: config.get<boolean>('scan.enabled', true),
+            scanMaxFileSizeKB: config.get<number>('scan.maxFileSizeKB', 1024),
+            storage: this.getStorageMode(),
+            pushCheckpoints: this.getPushCheckpoints()
+        };
+    }
+
+    // Finds where the current branch started, trying the most explicit sources first
+    public async resolveBaseRef(workspacePath: string): Promise<ResolvedBase> {
+        const cached = this.baseRefCache.get(workspacePath);
+        if (cached) {
+            return cached;
+        }
+
+        const resolved = await detectBaseRef(workspacePath, this.getMilestoneSettings(workspacePath));
+        this.baseRefCache.set(workspacePath, resolved);
+        return resolved;
+    }
+
+    public async configureBaseRef(repoPath?: string) {
+        try {
+            let workspacePath = repoPath;
+            if (!workspacePath) {
+                const picked = await this.pickRepositories(false);
+                if (!picked) {
+                    return;
+                }
+                workspacePath = picked[0].root;
+            }
+
+            const resolved = await this.resolveBaseRef(workspacePath);
+            const newValue = await vscode.window.showInputBox({
+                prompt: 'Enter the ref milestones are listed from (leave empty to detect it automatically)',
+                placeHolder: 'origin/develop',
+                value: this.getConfiguredBaseRef(workspacePath),
+                title: `Configure Base Ref (currently ${resolved.ref ?? 'none'}, ${resolved.source})`,
+                ignoreFocusOut: true,
+                validateInput: async (input) => {
+                    if (!input.trim()) {
+                        return null;
+                    }
+                    try {
+                        await git(['rev-parse', '--verify', '--quiet', `${input.trim()}^{commit}`], { cwd: workspacePath });
+                        return null;
+                    } catch {
+                        return 'Ref does not exist in this repository';
+                    }
+                }
+            });
+
+            if (newValue === undefined) {
+                return;
+            }
+
+            // Stored per workspace folder so each repository of a multi-root workspace can differ
+            const uri = vscode.Uri.file(workspacePath);
+            const config = vscode.workspace.getConfiguration('milestone-manager', uri);
+            const target = vscode.workspace.getWorkspaceFolder(uri) && (vscode.workspace.workspaceFolders?.length ?? 0) > 1
+                ? vscode.ConfigurationTarget.WorkspaceFolder
+                : vscode.ConfigurationTarget.Workspace;
+            await config.update('baseRef', newValue.trim() || undefined, target);
+
+            this.baseRefCache.delete(workspacePath);
+            const base = await this.resolveBaseRef(workspacePath);
+            vscode.window.showInformationMessage(`Milestones are now listed from ${base.ref ?? 'the start of history'} (${base.source})`);
+            this.updateStatusBar();
+            this.refreshTreeView();
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to update base ref: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to update base ref: Unknown error');
+            }
+        }
+    }
+
+    public async getMilestoneFiles(workspacePath: string, hash: string): Promise<ChangedFile[]> {
+        const parentRef = await getParentRef(workspacePath, hash);
+        return getChangedFiles(workspacePath, parentRef, hash);
+    }
+
+    private toMilestoneUri(workspacePath: string, relativePath: string, ref: string): vscode.Uri {
+        return vscode.Uri.from({
+            scheme: MILESTONE_SCHEME,
+            path: '/' + relativePath,
+            query: JSON.stringify({ repo: workspacePath, ref })
+        });
+    }
+
+    private describeRef(ref?: string): string {
+        if (!ref) {
+            return 'Working Tree';
+        }
+        if (ref === EMPTY_TREE_HASH) {
+            return 'Empty';
+        }
+        return ref.endsWith('^') ? `${ref.substring(0, 7)}^` : ref.substring(0, 7);
+    }
+
+    private async openFileDiff(workspacePath: string, file: ChangedFile, fromRef: string, toRef?: string) {
+        const left = this.toMilestoneUri(workspacePath, file.path, fromRef);
+        let right: vscode.Uri;
+        if (toRef) {
+            right = this.toMilestoneUri(workspacePath, file.path, toRef);
+        } else if (file.status === 'D') {
+            // Deleted from the working tree - show it against empty content
+            right = this.toMilestoneUri(workspacePath, file.path, EMPTY_TREE_HASH);
+        } else {
+            right = vscode.Uri.file(path.join(workspacePath, file.path));
+        }
+
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            left,
+            right,
+            `${path.basename(file.path)} (${this.describeRef(fromRef)} ↔ ${this.describeRef(toRef)})`,
+            { preview: false }
+        );
+    }
+
+    public async openMilestoneFileDiff(workspacePath: string, hash: string, file: ChangedFile) {
+        try {
+            const parentRef = await getParentRef(workspacePath, hash);
+            await this.openFileDiff(workspacePath, file, parentRef, hash);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to open changes: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to open changes: Unknown error');
+            }
+        }
+    }
+
+    private async openMultiFileDiff(workspacePath: string, fromRef: string, toRef?: string) {
+        const files = await getChangedFiles(workspacePath, fromRef, toRef);
+        if (files.length === 0) {
+            vscode.window.showInformationMessage(
+                `No changes between ${this.describeRef(fromRef)} and ${this.describeRef(toRef)}`
+            );
+            return;
+        }
+
+        let selected = files;
+        if (files.length > 1) {
+            const picked = await vscode.window.showQuickPick(
+                files.map(file => ({
+                    label: file.path,
+                    description: file.status,
+                    picked: true,
+                    file
+                })),
+                {
+                    canPickMany: true,
+                    placeHolder: `${files.length} files changed between ${this.describeRef(fromRef)} and ${this.describeRef(toRef)} - select the diffs to open`
+                }
+            );
+            if (!picked || picked.length === 0) {
+                return;
+            }
+            selected = picked.map(item => item.file);
+        }
+
+        for (const file of selected) {
+            await this.openFileDiff(workspacePath, file, fromRef, toRef);
+        }
+    }
+
+    private async resolveMilestone(
+        hash: string | undefined,
+        repoPath: string | undefined,
+        placeHolder: string
+    ): Promise<{ workspacePath: string; hash: string } | undefined> {
+        let workspacePath = repoPath;
+        if (!workspacePath) {
+            const picked = await this.pickRepositories(false);
+            if (!picked) {
+                return undefined;
+            }
+            workspacePath = picked[0].root;
+        }
+
+        if (!hash) {
+            const milestone = await this.pickMilestone(workspacePath, placeHolder);
+            if (!milestone) {
+                return undefined;
+            }
+            hash = milestone.hash;
+        }
+
+        return { workspacePath, hash };
+    }
+
+    public async showMilestoneDetails(hash?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveMilestone(hash, repoPath, 'Select a milestone to show');
+            if (!target) {
+                return;
+            }
+
+            const uri = vscode.Uri.from({
+                scheme: MILESTONE_DETAILS_SCHEME,
+                path: `/Milestone ${target.hash.substring(0, 7)}.md`,
+                query: JSON.stringify({ repo: target.workspacePath, hash: target.hash })
+            });
+            const document = await vscode.workspace.openTextDocument(uri);
+            await vscode.window.showTextDocument(document, { preview: true });
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to show milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to show milestone: Unknown error');
+            }
+        }
+    }
+
+    public async renderMilestoneDetails(workspacePath: string, hash: string): Promise<string> {
+        const milestone = await getMilestone(workspacePath, hash);
+        const { stdout: stat } = await git(['show', '--stat=120', '--format=', hash], { cwd: workspacePath });
+
+        const lines = [`# ${milestone.message}`, ''];
+        if (milestone.description) {
+            lines.push(milestone.description, '');
+        }
+        lines.push(`- **Commit:** \`${milestone.hash}\``);
+        lines.push(`- **Date:** ${milestone.date} ${milestone.time}`);
+        if (milestone.author) {
+            lines.push(`- **Author:** ${milestone.author}`);
+        }
+        if (milestone.labels?.length) {
+            lines.push(`- **Labels:** ${milestone.labels.map(label => `\`${label}\``).join(' ')}`);
+        }
+        if (milestone.auto) {
+            lines.push(`- **Created automatically:** ${milestone.auto}`);
+        }
+        if (milestone.group) {
+            lines.push(`- **Group:** ${milestone.group}`);
+        }
+        lines.push('', '## Changes', '', '```', stat.trim() || 'No files changed', '```', '');
+        return lines.join('\n');
+    }
+
+    // Checks shared by rename and delete. Returns the commits from the milestone to HEAD, oldest first
+    private async prepareMilestoneRewrite(
+        workspacePath: string,
+        hash: string,
+        action: string
+    ): Promise<{ branch: string; parent: string; commits: string[] } | undefined> {
+        const branch = await this.checkBranch(workspacePath, `${action} a milestone`);
+        if (!branch) {
+            return undefined;
+        }
+
+        try {
+            await git(['merge-base', '--is-ancestor', hash, 'HEAD'], { cwd: workspacePath });
+        } catch {
+            vscode.window.showErrorMessage(`Milestone ${hash.substring(0, 7)} is not on the current branch '${branch}'.`);
+            return undefined;
+        }
+
+        const parent = await getParentRef(workspacePath, hash);
+        if (parent === EMPTY_TREE_HASH) {
+            vscode.window.showErrorMessage(`Cannot ${action} the first commit of the repository.`);
+            return undefined;
+        }
+
+        // Oldest first, each line is "<commit> <parents...>"
+        const { stdout: revList } = await git(['rev-list', '--reverse', '--parents', `${parent}..HEAD`], { cwd: workspacePath });
+        const commits = revList.split('\n').filter(line => line.trim()).map(line => line.trim().split(' '));
+        if (commits.some(parts => parts.length > 2)) {
+            vscode.window.showErrorMessage(`The history after this milestone contains merge commits. Milestones can only be ${action}d in a linear history.`);
+            return undefined;
+        }
+
+        return { branch, parent, commits: commits.map(parts => parts[0]) };
+    }
+
+    public async renameMilestone(hash?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveMilestone(hash, repoPath, 'Select a milestone to rename');
+            if (!target) {
+                return;
+            }
+            const { workspacePath } = target;
+
+            const rewrite = await this.prepareMilestoneRewrite(workspacePath, target.hash, 'rename');
+            if (!rewrite) {
+                return;
+            }
+
+            const milestone = await getMilestone(workspacePath, target.hash);
+            const details = await this.promptMilestoneDetails(1, {
+                title: milestone.message,
+                description: milestone.description ?? '',
+                labels: milestone.labels ?? [],
+                auto: milestone.auto,
+                verification: milestone.verification
+            });
+            if (!details) {
+                return; // User cancelled
+            }
+
+            // Rewording a commit that is on the remote needs a force push
+            const unpushed = await this.getUnpushedHashes(workspacePath);
+            if (unpushed !== null && !unpushed.has(target.hash)) {
+                const answer = await vscode.window.showWarningMessage(
+                    `Milestone ${target.hash.substring(0, 7)} is already pushed. Renaming it rewrites ${rewrite.commits.length} commit${rewrite.commits.length === 1 ? '' : 's'} on ${rewrite.branch} and needs a force push. Continue?`,
+                    { modal: true },
+                    'Yes, Rename'
+                );
+                if (answer !== 'Yes, Rename') {
+                    return;
+                }
+            }
+
+            await this.runExclusive(workspacePath, `Renaming milestone ${target.hash.substring(0, 7)}`, async signal => {
+                const backup = await createBackup(workspacePath, this.getRemoteName(workspacePath), rewrite.branch, `renaming ${target.hash.substring(0, 7)}`);
+
+                const messages = new Map([[target.hash, buildMilestoneMessage(details, this.getCommitMessageTemplate(), milestone.group)]]);
+                const tip = await replayCommits(workspacePath, rewrite.parent, rewrite.commits, messages);
+                // The tree is unchanged, so a soft reset leaves index and working tree as they are
+                await git(['reset', '--soft', tip], { cwd: workspacePath });
+
+                if (await this.shouldPush('the renamed milestone')) {
+                    await this.pushBranch(workspacePath, rewrite.branch, backup.remoteTip ?? '', signal);
+                }
+            });
+
+            this.updateStatusBar();
+            this.refreshTreeView();
+            vscode.window.showInformationMessage(`Renamed milestone to '${details.title || 'No note provided'}'`);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to rename milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to rename milestone: Unknown error');
+            }
+        }
+    }
+
+    public async deleteMilestone(hash?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveMilestone(hash, repoPath, 'Select a milestone to delete');
+            if (!target) {
+                return;
+            }
+            const { workspacePath } = target;
+
+            const rewrite = await this.prepareMilestoneRewrite(workspacePath, target.hash, 'delete');
+            if (!rewrite) {
+                return;
+            }
+
+            const milestone = await getMilestone(workspacePath, target.hash);
+            const isHead = rewrite.commits.length === 1;
+            const answer = await vscode.window.showWarningMessage(
+                `Delete milestone '${milestone.message}' from ${rewrite.branch}? ` +
+                (isHead
+                    ? 'Its changes are kept as staged changes.'
+                    : 'Its changes are kept in the following commit.') +
+                ' The current state is backed up first.',
+                { modal: true },
+                'Yes, Delete'
+            );
+            if (answer !== 'Yes, Delete') {
+                return;
+            }
+
+            const backupRef = await this.runExclusive(workspacePath, `Deleting milestone ${target.hash.substring(0, 7)}`, async signal => {
+                const backup = await createBackup(workspacePath, this.getRemoteName(workspacePath), rewrite.branch, `deleting ${target.hash.substring(0, 7)}`);
+
+                // Leaving the milestone out of the replay drops it, later commits keep their trees
+                const tip = isHead
+                    ? rewrite.parent
+                    : await replayCommits(workspacePath, rewrite.parent, rewrite.commits.slice(1));
+                await git(['reset', '--soft', tip], { cwd: workspacePath });
+
+                if (await this.shouldPush('the branch without the milestone')) {
+                    await this.pushBranch(workspacePath, rewrite.branch, backup.remoteTip ?? '', signal);
+                }
+                return backup.ref;
+            });
+
+            this.updateStatusBar();
+            this.refreshTreeView();
+            vscode.window.showInformationMessage(`Deleted milestone '${milestone.message}'`, 'Undo')
+                .then(choice => {
+                    if (choice === 'Undo') {
+                        this.restoreBackup(backupRef, workspacePath);
+                    }
+                });
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to delete milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to delete milestone: Unknown error');
+            }
+        }
+    }
+
+    // The latest milestone of the current branch, as long as nothing was committed after it.
+    // pushed tells whether the remote already has it, so changing it needs a force push
+    private async prepareLastMilestoneChange(
+        workspacePath: string,
+        action: string
+    ): Promise<{ branch: string; milestone: Milestone; pushed: boolean } | undefined> {
+        const branch = await this.checkBranch(workspacePath, `${action} a milestone`);
+        if (!branch) {
+            return undefined;
+        }
+
+        const [latest] = await this.getMilestones(workspacePath, 1);
+        if (!latest) {
+            vscode.window.showInformationMessage(`There is no milestone on ${branch} to ${action}`);
+            return undefined;
+        }
+        const { stdout: head } = await git(['rev-parse', 'HEAD'], { cwd: workspacePath });
+        if (head.trim() !== latest.hash) {
+            vscode.window.showErrorMessage(
+                `Cannot ${action} milestone '${latest.message}': it is not the last commit on ${branch}. Use Delete Milestone or Rename Milestone instead.`
+            );
+            return undefined;
+        }
+
+        const milestone = await getMilestone(workspacePath, latest.hash);
+        const unpushed = await this.getUnpushedHashes(workspacePath);
+        return { branch, milestone, pushed: unpushed !== null && !unpushed.has(milestone.hash) };
+    }
+
+    // Takes the latest milestone back off the branch. Its changes stay staged, so nothing is lost
+    public async undoLastMilestone(repoPath?: string) {
+        try {
+            const workspacePath = repoPath ?? (await this.pickRepositories(false))?.[0].root;
+            if (!workspacePath) {
+                return;
+            }
+
+            const last = await this.prepareLastMilestoneChange(workspacePath, 'undo');
+            if (!last) {
+                return;
+            }
+            const { branch, milestone, pushed } = last;
+            const shortHash = milestone.hash.substring(0, 7);
+
+            const parent = await getParentRef(workspacePath, milestone.hash);
+            if (parent === EMPTY_TREE_HASH) {
+                vscode.window.showErrorMessage('Cannot undo the first commit of the repository.');
+                return;
+            }
+
+            const answer = await vscode.window.showWarningMessage(
+                `Undo milestone '${milestone.message}' on ${branch}? Its changes return to the working tree as staged changes.` +
+                (pushed ? ' It is already pushed, so the remote branch needs a force push.' : '') +
+                ' The current state is backed up first.',
+                { modal: true },
+                'Yes, Undo'
+            );
+            if (answer !== 'Yes, Undo') {
+                return;
+            }
+
+            const backupRef = await this.runExclusive(workspacePath, `Undoing milestone ${shortHash}`, async signal => {
+                const backup = await createBackup(workspacePath, this.getRemoteName(workspacePath), branch, `undoing ${shortHash}`);
+
+                await git(['reset', '--soft', parent], { cwd: workspacePath });
+
+                if (pushed && await this.shouldPush('the branch without the milestone')) {
+                    await this.pushBranch(workspacePath, branch, backup.remoteTip ?? '', signal);
+                }
+                return backup.ref;
+            });
+
+            this.updateStatusBar();
+            this.refreshTreeView();
+            vscode.window.showInformationMessage(`Undid milestone '${milestone.message}', its changes are staged`, 'Restore Milestone')
+                .then(choice => {
+                    if (choice === 'Restore Milestone') {
+                        this.restoreBackup(backupRef, workspacePath);
+                    }
+                });
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to undo milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to undo milestone: Unknown error');
+            }
+        }
+    }
+
+    // Folds the current changes into the latest milestone and lets the user edit its note.
+    // Files are staged, reviewed and scanned like for a new milestone
+    public async amendLastMilestone(repoPath?: string) {
+        try {
+            const workspacePath = repoPath ?? (await this.pickRepositories(false))?.[0].root;
+            if (!workspacePath) {
+                return;
+            }
+
+            const last = await this.prepareLastMilestoneChange(workspacePath, 'amend');
+            if (!last) {
+                return;
+            }
+            const { branch, milestone, pushed } = last;
+            const shortHash = milestone.hash.substring(0, 7);
+
+            // The old verification result no longer applies once changes are folded in
+            const { stdout: status } = await git(['status', '--porcelain'], { cwd: workspacePath });
+            let verification = milestone.verification;
+            if (status.trim()) {
+                const verifications = await this.verifyMilestone([{ root: workspacePath, name: path.basename(workspacePath) }]);
+                if (!verifications) {
+                    return;
+                }
+                verification = verifications.get(workspacePath);
+            }
+
+            const details = await this.promptMilestoneDetails(1, {
+                title: milestone.message,
+                description: milestone.description ?? '',
+                labels: milestone.labels ?? [],
+                auto: milestone.auto,
+                verification
+            }, 'Amend Milestone');
+            if (!details) {
+                return; // User cancelled
+            }
+
+            if (pushed) {
+                const answer = await vscode.window.showWarningMessage(
+                    `Milestone ${shortHash} is already pushed. Amending it rewrites the last commit on ${branch} and needs a force push. Continue?`,
+                    { modal: true },
+                    'Yes, Amend'
+                );
+                if (answer !== 'Yes, Amend') {
+                    return;
+                }
+            }
+
+            const backupRef = await this.runExclusive(workspacePath, `Amending milestone ${shortHash}`, async signal => {
+                const { stdout: originalIndex } = await git(['write-tree'], { cwd: workspacePath });
+                await git(['add', '.'], { cwd: workspacePath });
+                if (!await this.filterIgnoredFiles(workspacePath, true) ||
+                    !await this.reviewStagedFindings(workspacePath, true)) {
+                    await git(['read-tree', originalIndex.trim()], { cwd: workspacePath });
+                    throw new MilestoneAbortedError('Amend aborted before committing');
+                }
+
+                // Backed up once the review passed, so an aborted amend leaves no backup behind
+                const backup = await createBackup(workspacePath, this.getRemoteName(workspacePath), branch, `amending ${shortHash}`);
+                await commitMilestoneMessage(
+                    workspacePath,
+                    buildMilestoneMessage(details, this.getCommitMessageTemplate(), milestone.group),
+                    signal,
+                    true
+                );
+
+                if (pushed && await this.shouldPush('the amended milestone')) {
+                    await this.pushBranch(workspacePath, branch, backup.remoteTip ?? '', signal);
+                }
+                return backup.ref;
+            });
+
+            this.updateStatusBar();
+            this.refreshTreeView();
+            vscode.window.showInformationMessage(`Amended milestone '${details.title || 'No note provided'}'`, 'Undo')
+                .then(choice => {
+                    if (choice === 'Undo') {
+                        this.restoreBackup(backupRef, workspacePath);
+                    }
+                });
+        } catch (error) {
+            if (error instanceof MilestoneAbortedError) {
+                return;
+            }
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to amend milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to amend milestone: Unknown error');
+            }
+        }
+    }
+
+    public async copyMilestone(hash: string | undefined, repoPath: string | undefined, what: 'hash' | 'message') {
+        try {
+            const target = await this.resolveMilestone(hash, repoPath, `Select a milestone to copy the ${what} of`);
+            if (!target) {
+                return;
+            }
+
+            if (what === 'hash') {
+                await vscode.env.clipboard.writeText(target.hash);
+            } else {
+                const { stdout } = await git(['log', '-1', '--format=%B', target.hash], { cwd: target.workspacePath });
+                await vscode.env.clipboard.writeText(stdout.trim());
+            }
+            vscode.window.setStatusBarMessage(`Copied milestone ${what} to the clipboard`, 3000);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to copy milestone ${what}: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage(`Failed to copy milestone ${what}: Unknown error`);
+            }
+        }
+    }
+
+    public async openMilestoneOnRemote(hash?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveMilestone(hash, repoPath, 'Select a milestone to open on the remote');
+            if (!target) {
+                return;
+            }
+
+            const remote = this.getRemoteName(target.workspacePath);
+            const { stdout: remoteUrl } = await git(['remote', 'get-url', remote], { cwd: target.workspacePath });
+            const url = getCommitWebUrl(remoteUrl, target.hash);
+            if (!url) {
+                vscode.window.showErrorMessage(`Cannot open commits of remote '${remote}' (${remoteUrl.trim()}). GitHub, GitLab and Azure DevOps remotes are supported.`);
+                return;
+            }
+
+            const unpushed = await this.getUnpushedHashes(target.workspacePath);
+            if (unpushed === null || unpushed.has(target.hash)) {
+                const answer = await vscode.window.showWarningMessage(
+                    `Milestone ${target.hash.substring(0, 7)} is not pushed yet, so the remote may not know it.`,
+                    'Open Anyway'
+                );
+                if (answer !== 'Open Anyway') {
+                    return;
+                }
+            }
+
+            await vscode.env.openExternal(vscode.Uri.parse(url));
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to open milestone on the remote: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to open milestone on the remote: Unknown error');
+            }
+        }
+    }
+
+    // Milestones of the other local and remote-tracking branches, see listBranchMilestones
+    public async getBranchMilestones(workspacePath: string): Promise<BranchMilestones[]> {
+        try {
+            return await listBranchMilestones(workspacePath, BRANCH_MILESTONE_LIMIT);
+        } catch (error) {
+            log('Error getting milestones of other branches:', error);
+            return [];
+        }
+    }
+
+    private async pickBranchMilestone(workspacePath: string, placeHolder: string): Promise<Milestone | undefined> {
+        const groups = await this.getBranchMilestones(workspacePath);
+        if (groups.length === 0) {
+            vscode.window.showInformationMessage('No milestones found on other branches');
+            return undefined;
+        }
+
+        type BranchMilestonePickItem = vscode.QuickPickItem & { milestone?: Milestone };
+        const items: BranchMilestonePickItem[] = groups.flatMap(group => [
+            { label: group.branch, kind: vscode.QuickPickItemKind.Separator },
+            ...group.milestones.map(milestone => ({
+                label: milestone.message,
+                description: `${milestone.date} ${milestone.time} (${milestone.hash.substring(0, 7)})`,
+                detail: group.remote ? `$(cloud) ${group.branch}` : `$(git-branch) ${group.branch}`,
+                milestone
+            }))
+        ]);
+        const picked = await vscode.window.showQuickPick(items, { placeHolder, matchOnDescription: true, matchOnDetail: true });
+        return picked?.milestone;
+    }
+
+    // Like resolveMilestone, but picks from the milestones of the other branches
+    private async resolveBranchMilestone(
+        hash: string | undefined,
+        repoPath: string | undefined,
+        placeHolder: string
+    ): Promise<{ workspacePath: string; hash: string } | undefined> {
+        const workspacePath = repoPath ?? (await this.pickRepositories(false))?.[0].root;
+        if (!workspacePath) {
+            return undefined;
+        }
+        if (!hash) {
+            hash = (await this.pickBranchMilestone(workspacePath, placeHolder))?.hash;
+        }
+        return hash ? { workspacePath, hash } : undefined;
+    }
+
+    // Quick pick over the milestones of all other branches, then an action that leaves the current branch checked out
+    public async browseBranchMilestones(repoPath?: string) {
+        try {
+            const target = await this.resolveBranchMilestone(undefined, repoPath, 'Search milestones on other branches');
+            if (!target) {
+                return;
+            }
+
+            const actions = [
+                { label: '$(info) Show Details', run: () => this.showMilestoneDetails(target.hash, target.workspacePath) },
+                { label: '$(git-compare) Compare with Working Tree', run: () => this.compareWithWorkingTree(target.hash, target.workspacePath) },
+                { label: '$(git-pull-request-go-to-changes) Cherry-Pick onto Current Branch', run: () => this.cherryPickMilestone(target.hash, target.workspacePath) },
+                { label: '$(git-branch-create) Create Branch from Milestone', run: () => this.createBranchFromMilestone(target.hash, target.workspacePath) },
+                { label: '$(copy) Copy Milestone Hash', run: () => this.copyMilestone(target.hash, target.workspacePath, 'hash') }
+            ];
+            const action = await vscode.window.showQuickPick(actions, { placeHolder: `Milestone ${target.hash.substring(0, 7)}` });
+            await action?.run();
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to browse milestones: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to browse milestones: Unknown error');
+            }
+        }
+    }
+
+    // Applies a milestone from another branch to the current one, as a commit or to the working tree only
+    public async cherryPickMilestone(hash?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveBranchMilestone(hash, repoPath, 'Select a milestone to cherry-pick');
+            if (!target) {
+                return;
+            }
+            const { workspacePath } = target;
+
+            const mode = await vscode.window.showQuickPick(
+                [
+                    {
+                        label: 'Commit',
+                        detail: 'Adds the milestone\'s changes as a new commit, which is a milestone on the current branch as well',
+                        commit: true
+                    },
+                    {
+                        label: 'Apply to working tree',
+                        detail: 'Applies the changes without committing, so they can be reviewed or adjusted first',
+                        commit: false
+                    }
+                ],
+                { placeHolder: `Cherry-pick milestone ${target.hash.substring(0, 7)} onto the current branch` }
+            );
+            if (!mode) {
+                return;
+            }
+            const branch = await this.checkBranch(
+                workspacePath,
+                mode.commit ? 'cherry-pick a milestone' : 'apply a milestone',
+                !mode.commit
+            );
+            if (!branch) {
+                return;
+            }
+
+            try {
+                await this.runExclusive(workspacePath, 'Cherry-picking milestone', () =>
+                    git(['cherry-pick', ...(mode.commit ? [] : ['--no-commit']), target.hash], { cwd: workspacePath })
+                );
+            } catch (error) {
+                // Conflicts leave the cherry-pick in progress for the user to finish in git
+                if (await getInProgressOperation(workspacePath) === 'cherry-pick') {
+                    vscode.window.showWarningMessage(
+                        mode.commit
+                            ? `Cherry-picking milestone ${target.hash.substring(0, 7)} stopped on conflicts. Resolve them and run "git cherry-pick --continue", or cancel with "git cherry-pick --abort".`
+                            : `Milestone ${target.hash.substring(0, 7)} was applied with conflicts. Resolve them in the working tree, or cancel with "git cherry-pick --abort".`
+                    );
+                    this.refreshTreeView();
+                    return;
+                }
+                throw error;
+            }
+
+            vscode.window.showInformationMessage(mode.commit
+                ? `Cherry-picked milestone ${target.hash.substring(0, 7)} onto ${branch}`
+                : `Applied milestone ${target.hash.substring(0, 7)} to the working tree`);
+            this.updateStatusBar();
+            this.refreshTreeView();
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to cherry-pick milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to cherry-pick milestone: Unknown error');
+            }
+        }
+    }
+
+    // Creates a branch at a milestone without checking it out
+    public async createBranchFromMilestone(hash?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveBranchMilestone(hash, repoPath, 'Select a milestone to create a branch from');
+            if (!target) {
+                return;
+            }
+
+            const newBranch = await this.promptBranchName(target.workspacePath, target.hash);
+            if (newBranch === undefined) {
+                return; // User cancelled
+            }
+            await git(['branch', newBranch, target.hash], { cwd: target.workspacePath });
+            vscode.window.showInformationMessage(`Created branch '${newBranch}' at milestone ${target.hash.substring(0, 7)}`);
+            this.refreshTreeView();
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to create branch: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to create branch: Unknown error');
+            }
+        }
+    }
+
+    public async checkoutMilestoneDetached(hash?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveMilestone(hash, repoPath, 'Select a milestone to check out');
+            if (!target) {
+                return;
+            }
+            const { workspacePath } = target;
+            const branch = await getBranchName(workspacePath);
+
+            // git refuses when uncommitted changes would be overwritten, nothing is lost
+            await this.runExclusive(workspacePath, undefined, () =>
+                git(['checkout', '--detach', target.hash], { cwd: workspacePath })
+            );
+
+            this.updateStatusBar();
+            this.refreshTreeView();
+            const returnAction = branch ? `Return to ${branch}` : undefined;
+            const choice = await vscode.window.showInformationMessage(
+                `Checked out milestone ${target.hash.substring(0, 7)} in detached HEAD for inspection.`,
+                ...(returnAction ? [returnAction] : [])
+            );
+            if (branch && choice === returnAction) {
+                await this.runExclusive(workspacePath, undefined, () =>
+                    git(['checkout', branch], { cwd: workspacePath })
+                );
+                this.updateStatusBar();
+                this.refreshTreeView();
+            }
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to check out milestone: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to check out milestone: Unknown error');
+            }
+        }
+    }
+
+    public async compareWithPrevious(hash?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveMilestone(hash, repoPath, 'Select a milestone to compare with its predecessor');
+            if (!target) {
+                return;
+            }
+
+            // Milestones are listed newest first, so the previous milestone is the next entry
+            const milestones = await this.getMilestones(target.workspacePath);
+            const index = milestones.findIndex(milestone => milestone.hash === target.hash);
+            const previous = index >= 0 ? milestones[index + 1] : undefined;
+            const fromRef = previous ? previous.hash : await getParentRef(target.workspacePath, target.hash);
+
+            await this.openMultiFileDiff(target.workspacePath, fromRef, target.hash);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to compare milestones: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to compare milestones: Unknown error');
+            }
+        }
+    }
+
+    public async compareWithWorkingTree(hash?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveMilestone(hash, repoPath, 'Select a milestone to compare with the working tree');
+            if (!target) {
+                return;
+            }
+
+            await this.openMultiFileDiff(target.workspacePath, target.hash);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to compare with working tree: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to compare with working tree: Unknown error');
+            }
+        }
+    }
+
+    public async compareMilestones(first?: string, second?: string, repoPath?: string) {
+        try {
+            const target = await this.resolveMilestone(first, repoPath, 'Select the first milestone to compare');
+            if (!target) {
+                return;
+            }
+
+            const milestones = await this.getMilestones(target.workspacePath);
+            if (!second) {
+                const picked = await vscode.window.showQuickPick(
+                    milestones
+                        .filter(milestone => milestone.hash !== target.hash)
+                        .map(milestone => ({
+                            label: milestone.message,
+                            description: `${milestone.date} ${milestone.time} (${milestone.hash.substring(0, 7)})`,
+                            milestone
+                        })),
+                    { placeHolder: 'Select the milestone to compare with' }
+                );
+                if (!picked) {
+                    return;
+                }
+                second = picked.milestone.hash;
+            }
+
+            // Always diff from the older milestone to the newer one (the list is newest first)
+            const firstIndex = milestones.findIndex(milestone => milestone.hash === target.hash);
+            const secondIndex = milestones.findIndex(milestone => milestone.hash === second);
+            const [fromRef, toRef] = firstIndex > secondIndex ? [target.hash, second] : [second, target.hash];
+
+            await this.openMultiFileDiff(target.workspacePath, fromRef, toRef);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to compare milestones: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to compare milestones: Unknown error');
+            }
+        }
+    }
+
+    public async getBackups(workspacePath: string): Promise<MilestoneBackup[]> {
+        try {
+            const { stdout } = await git(
+                [
+                    'for-each-ref', BACKUP_REF_PREFIX, '--sort=-creatordate',
+                    // NUL separators, a subject may contain any printable text
+                    '--format=%(refname)%00%(objectname)%00%(creatordate:short)%00%(creatordate:iso)%00%(contents:subject)'
+                ],
+                { cwd: workspacePath }
+            );
+
+            return stdout
+                .split('\n')
+                .filter(line => line.trim())
+                .map(line => {
+                    const [ref, hash, date, datetime, description] = line.split('\0');
+                    return { ref, hash, date, time: datetime.split(' ')[1], description };
+                });
+        } catch (error) {
+            log('Error getting backups:', error);
+            return [];
+        }
+    }
+
+    private async readBackupMetadata(workspacePath: string, ref: string): Promise<{ branch?: string; remoteTip?: string }> {
+        const { stdout } = await git(['log', '-1', '--format=%B', ref], { cwd: workspacePath });
+        const trailer = (key: string) => stdout.match(new RegExp(`^${key}: (.+)$`, 'm'))?.[1].trim();
+        return {
+            branch: trailer('Backup-Branch'),
+            remoteTip: trailer('Backup-Remote-Tip')
+        };
+    }
+
+    public async restoreBackup(ref?: string, repoPath?: string) {
         try {
-            const workspacePath = this.getWorkspacePath();
-            const gitHeadPath = path.join(workspacePath, '.git', 'HEAD');
+            let workspacePath = repoPath;
+            if (!workspacePath) {
+                const picked = await this.pickRepositories(false);
+                if (!picked) {
+                    return;
+                }
+                workspacePath = picked[0].root;
+            }
+
+            const backups = await this.getBackups(workspacePath);
+            let backup: MilestoneBackup | undefined;
+            if (ref) {
+                backup = backups.find(candidate => candidate.ref === ref);
+            } else {
+                if (backups.length === 0) {
+                    vscode.window.showInformationMessage('There are no backups to restore');
+                    return;
+                }
+                const picked = await vscode.window.showQuickPick(
+                    backups.map(candidate => ({
+                        label: candidate.description,
+                        description: `${candidate.date} ${candidate.time}`,
+                        backup: candidate
+                    })),
+                    { placeHolder: 'Select a backup to restore' }
+                );
+                if (!picked) {
+                    return;
+                }
+                backup = picked.backup;
+            }
+
+            if (!backup) {
+                vscode.window.showErrorMessage('Backup not found');
+                return;
+            }
+
+            await this.restoreBackupRef(workspacePath, backup);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to restore backup: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to restore backup: Unknown error');
+            }
+        }
+    }
 
-            console.log('Setting up branch watcher for:', gitHeadPath);
+    public async undoLastRevert(repoPath?: string) {
+        try {
+            let workspacePath = repoPath;
+            if (!workspacePath) {
+                const picked = await this.pickRepositories(false);
+                if (!picked) {
+                    return;
+                }
+                workspacePath = picked[0].root;
+            }
 
-            // Check if .git/HEAD exists
-            if (!fs.existsSync(gitHeadPath)) {
-                console.log('Git HEAD file does not exist:', gitHeadPath);
+            const backups = await this.getBackups(workspacePath);
+            const lastRevert = backups.find(backup => backup.description.startsWith('Backup before revert'));
+            if (!lastRevert) {
+                vscode.window.showInformationMessage('There is no revert to undo');
                 return;
             }
 
-            // Get initial branch name
-            this.updateCurrentBranch();
+            await this.restoreBackupRef(workspacePath, lastRevert);
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to undo revert: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to undo revert: Unknown error');
+            }
+        }
+    }
+
+    private async restoreBackupRef(workspacePath: string, backup: MilestoneBackup) {
+        const metadata = await this.readBackupMetadata(workspacePath, backup.ref);
+        if (!metadata.branch) {
+            throw new Error(`Backup ${backup.ref} does not record its branch`);
+        }
+
+        const answer = await vscode.window.showWarningMessage(
+            `Restore ${metadata.branch} in ${path.basename(workspacePath)} to the state saved on ${backup.date} ${backup.time}? Your current state will be backed up first.`,
+            { modal: true },
+            'Yes, Restore'
+        );
+
+        if (answer !== 'Yes, Restore') {
+            return;
+        }
+
+        try {
+            await this.runExclusive(workspacePath, `Restoring ${metadata.branch}`, async signal => {
+                // Keep the current state recoverable too
+                const currentBranch = await getBranchName(workspacePath) ?? 'HEAD';
+                const current = await createBackup(workspacePath, this.getRemoteName(workspacePath), currentBranch, `restoring ${backup.ref.substring(BACKUP_REF_PREFIX.length)}`);
+                // The backup above recorded the remote tip of the current branch; another branch's tip is looked up
+                const expectedTip = currentBranch === metadata.branch
+                    ? current.remoteTip
+                    : await getRemoteTip(workspacePath, this.getRemoteName(workspacePath), metadata.branch!);
+
+                if (currentBranch !== metadata.branch) {
+                    await git(['checkout', '-f', metadata.branch!], { cwd: workspacePath });
+                }
+
+                // Move the branch back to the HEAD recorded in the backup
+                await git(['reset', '--hard', `${backup.ref}^1`], { cwd: workspacePath });
+                await git(['clean', '-fd'], { cwd: workspacePath });
+
+                // Bring back the working tree (including files that were untracked), then the original index
+                await git(['read-tree', '-u', '--reset', backup.ref], { cwd: workspacePath });
+                await git(['read-tree', `${backup.ref}^2^{tree}`], { cwd: workspacePath });
+
+                // Like every other push this follows the push mode and is queued while offline.
+                // The local restore is done at this point, so a failed push does not fail the restore
+                let resultMessage = `Restored ${metadata.branch} locally (no remote state was recorded)`;
+                if (metadata.remoteTip) {
+                    resultMessage = `Restored ${metadata.branch} locally`;
+                    if (await this.shouldPush('the restored branch')) {
+                        resultMessage = await this.pushBranch(workspacePath, metadata.branch!, expectedTip ?? '', signal)
+                            ? `Restored ${metadata.branch} locally and on the remote`
+                            : `Restored ${metadata.branch} locally. The remote will be updated once it is reachable`;
+                    }
+                }
 
-            // Watch .git/HEAD for changes
-            this.gitHeadWatcher = fs.watchFile(gitHeadPath, { interval: 1000 }, async (curr, prev) => {
-                console.log('Git HEAD file changed - curr:', curr.mtime, 'prev:', prev.mtime);
-                await this.handleBranchChange();
+                vscode.window.showInformationMessage(resultMessage);
+                this.updateStatusBar();
+                this.refreshTreeView();
             });
+        } catch (error) {
+            if (error instanceof Error) {
+                throw new Error(`Git operation failed: ${error.message}`);
+            } else {
+                throw new Error('Git operation failed: Unknown error');
+            }
+        }
+    }
+
+    public async deleteBackup(ref: string, repoPath: string) {
+        try {
+            const answer = await vscode.window.showWarningMessage(
+                `Delete backup ${ref.substring(BACKUP_REF_PREFIX.length)}? It can no longer be restored afterwards.`,
+                { modal: true },
+                'Delete'
+            );
+            if (answer !== 'Delete') {
+                return;
+            }
+
+            await git(['update-ref', '-d', ref], { cwd: repoPath });
+            this.refreshTreeView();
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to delete backup: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage('Failed to delete backup: Unknown error');
+            }
+        }
+    }
+
+    public getPushMode(): PushMode {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        return config.get<PushMode>('pushMode', 'always');
+    }
+
+    public getStorageMode(): StorageMode {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        return config.get<StorageMode>('storage', 'commits');
+    }
+
+    private getPushCheckpoints(): boolean {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        return config.get<boolean>('checkpoints.push', false);
+    }
+
+    public getRemoteName(workspacePath: string): string {
+        const config = vscode.workspace.getConfiguration('milestone-manager', vscode.Uri.file(workspacePath));
+        return config.get<string>('remoteName', 'origin').trim() || 'origin';
+    }
 
-            console.log('Branch watcher setup complete');
+    // Resolves the push mode into a yes/no decision, prompting when the mode is "ask"
+    private async shouldPush(description: string): Promise<boolean> {
+        const mode = this.getPushMode();
+        if (mode === 'never') {
+            return false;
+        }
+        if (mode === 'ask') {
+            const answer = await vscode.window.showInformationMessage(
+                `Push ${description} to the remote?`,
+                'Push',
+                'Keep Local'
+            );
+            return answer === 'Push';
+        }
+        return true;
+    }
 
+    // Pushes the branch, queueing it for a later retry when the remote cannot be reached.
+    // A lease is the remote tip the push expects to overwrite when history was rewritten, '' when it expects none.
+    private async pushBranch(workspacePath: string, branch: string, lease?: string | null, signal?: AbortSignal): Promise<boolean> {
+        const remote = this.getRemoteName(workspacePath);
+        // A rewrite that is still waiting to be pushed means this push has to force as well
+        const queued = this.getPendingPushes().find(entry => entry.repo === workspacePath && entry.branch === branch);
+        if (lease === undefined && queued) {
+            lease = queued.lease;
+        }
+        try {
+            if (lease !== undefined) {
+                const leaseArg = lease === null ? '--force-with-lease' : forceWithLeaseArg(branch, lease);
+                await git(['push', leaseArg, remote, branch], { cwd: workspacePath, timeout: REMOTE_TIMEOUT, signal });
+            } else {
+                await git(['push', '--set-upstream', remote, branch], { cwd: workspacePath, timeout: REMOTE_TIMEOUT, signal });
+            }
+            // The queued commits went out with this push, a retry would only fight its lease
+            if (queued) {
+                await this.removePendingPush(workspacePath, branch);
+            }
+            return true;
         } catch (error) {
-            console.error('Error setting up branch watcher:', error);
+            log('Push failed, queueing for retry:', error);
+            await this.enqueuePendingPush({ repo: workspacePath, branch, lease });
+            return false;
+        }
+    }
+
+    private getPendingPushes(): PendingPush[] {
+        return this.context.workspaceState.get<PendingPush[]>(PENDING_PUSHES_KEY, []);
+    }
+
+    private async setPendingPushes(pending: PendingPush[]) {
+        await this.context.workspaceState.update(PENDING_PUSHES_KEY, pending);
+        this.schedulePendingPushRetry();
+    }
+
+    private async enqueuePendingPush(entry: PendingPush) {
+        const pending = this.getPendingPushes();
+        const existing = pending.find(candidate => candidate.repo === entry.repo && candidate.branch === entry.branch);
+        if (existing) {
+            // The remote has not moved since the first queued push, so its lease still applies
+            if (existing.lease === undefined) {
+                existing.lease = entry.lease;
+            }
+        } else {
+            pending.push(entry);
+        }
+        await this.setPendingPushes(pending);
+    }
+
+    private async removePendingPush(repo: string, branch: string) {
+        await this.setPendingPushes(this.getPendingPushes().filter(entry => entry.repo !== repo || entry.branch !== branch));
+    }
+
+    public hasPendingPush(workspacePath: string): boolean {
+        return this.getPendingPushes().some(entry => entry.repo === workspacePath);
+    }
+
+    private schedulePendingPushRetry() {
+        const hasPending = this.getPendingPushes().length > 0;
+        if (hasPending && !this.pendingPushTimer) {
+            this.pendingPushTimer = setInterval(() => this.processPendingPushes(false), PENDING_PUSH_INTERVAL);
+        } else if (!hasPending && this.pendingPushTimer) {
+            clearInterval(this.pendingPushTimer);
+            this.pendingPushTimer = null;
         }
     }
 
-    private cleanupBranchWatcher() {
-        if (this.gitHeadWatcher) {
+    public async processPendingPushes(interactive: boolean) {
+        const pending = this.getPendingPushes();
+        if (pending.length === 0) {
+            if (interactive) {
+                vscode.window.showInformationMessage('There are no pending milestone pushes');
+            }
+            return;
+        }
+
+        let unreachable = 0;
+        const pushed: string[] = [];
+        for (const entry of pending) {
+            const remote = this.getRemoteName(entry.repo);
+            try {
+                // Only try to push once the remote answers, so offline retries stay cheap
+                await git(['ls-remote', '--heads', remote], { cwd: entry.repo, timeout: REMOTE_TIMEOUT });
+            } catch {
+                unreachable++;
+                continue;
+            }
+
             try {
-                const workspacePath = this.getWorkspacePath();
-                const gitHeadPath = path.join(workspacePath, '.git', 'HEAD');
-                fs.unwatchFile(gitHeadPath);
-                this.gitHeadWatcher = null;
+                await this.runExclusive(entry.repo, undefined, async () => {
+                    try {
+                        if (entry.lease !== undefined) {
+                            const leaseArg = entry.lease === null ? '--force-with-lease' : forceWithLeaseArg(entry.branch, entry.lease);
+                            await git(['push', leaseArg, remote, entry.branch], { cwd: entry.repo, timeout: REMOTE_TIMEOUT });
+                        } else {
+                            await git(['push', '--set-upstream', remote, entry.branch], { cwd: entry.repo, timeout: REMOTE_TIMEOUT });
+                        }
+                    } finally {
+                        // Removed from the queue as it is now, not from the snapshot above, so entries
+                        // queued meanwhile are kept. Pushed or refused, a retry would not change anything
+                        await this.removePendingPush(entry.repo, entry.branch);
+                    }
+                });
+                pushed.push(`${path.basename(entry.repo)}/${entry.branch}`);
             } catch (error) {
-                // Ignore cleanup errors
-                this.gitHeadWatcher = null;
+                // The remote is reachable but refused the push (e.g. the lease no longer matches) - retrying will not help
+                vscode.window.showErrorMessage(
+                    `Failed to push pending milestones of ${entry.branch} in ${path.basename(entry.repo)}: ${error instanceof Error ? error.message : 'Unknown error'}. Please push manually.`
+                );
             }
         }
+
+        if (pushed.length > 0) {
+            vscode.window.showInformationMessage(`Pushed pending milestones: ${pushed.join(', ')}`);
+            this.refreshTreeView();
+        } else if (interactive && unreachable > 0) {
+            vscode.window.showWarningMessage('The remote is still unreachable. Pending milestones will be pushed later.');
+        }
     }
 
-    private async updateCurrentBranch() {
+    public async getUnpushedHashes(workspacePath: string): Promise<Set<string> | null> {
+        const branch = await getBranchName(workspacePath);
+        if (!branch) {
+            return new Set();
+        }
+
+        const remoteRef = `refs/remotes/${this.getRemoteName(workspacePath)}/${branch}`;
+        try {
+            await git(['rev-parse', '--verify', '--quiet', remoteRef], { cwd: workspacePath });
+        } catch {
+            // The branch was never pushed, so nothing on it is on the remote
+            return null;
+        }
+
         try {
-            const workspacePath = this.getWorkspacePath();
-            const { stdout: branchName } = await execAsync('git symbolic-ref --short HEAD', { cwd: workspacePath });
-            this.currentBranch = branchName.trim();
-            console.log('Initial current branch set to:', this.currentBranch);
+            const { stdout } = await git(['rev-list', `${remoteRef}..HEAD`], { cwd: workspacePath });
+            return new Set(stdout.split('\n').map(line => line.trim()).filter(line => line));
         } catch (error) {
-            this.currentBranch = null;
-            console.log('Could not get initial branch, set to null:', error);
+            log('Error getting unpushed commits:', error);
+            return new Set();
         }
     }
 
-    private async handleBranchChange() {
+    // Follows HEAD, branch refs, packed-refs and remote refs of every repository. The real gitdir
+    // is asked from git, so worktrees and submodules (where .git is a file) are watched too
+    private async setupRepositoryWatchers() {
+        this.cleanupRepositoryWatchers();
+
         try {
-            const workspacePath = this.getWorkspacePath();
-            const { stdout: branchName } = await execAsync('git symbolic-ref --short HEAD', { cwd: workspacePath });
-            const newBranch = branchName.trim();
+            const repositories = await this.getRepositories();
 
-            console.log('handleBranchChange - current:', this.currentBranch, 'new:', newBranch);
+            for (const repository of repositories) {
+                let gitDir: string;
+                let commonDir: string;
+                try {
+                    const { stdout } = await git(['rev-parse', '--absolute-git-dir', '--git-common-dir'], { cwd: repository.root });
+                    const [absoluteGitDir, gitCommonDir] = stdout.split('\n').map(line => line.trim());
+                    gitDir = absoluteGitDir;
+                    // Linked worktrees keep HEAD in their own gitdir but share refs with the main repository
+                    commonDir = path.resolve(repository.root, gitCommonDir);
+                } catch (error) {
+                    log('Could not resolve the git directory of', repository.root, error);
+                    continue;
+                }
 
-            // Only refresh if branch actually changed
-            if (this.currentBranch !== newBranch) {
-                console.log('Branch changed from', this.currentBranch, 'to', newBranch, '- refreshing milestone data');
-                this.currentBranch = newBranch;
-                
-                // Silently refresh milestone data
-                this.updateStatusBar();
-                this.refreshTreeView();
-            } else {
-                console.log('Branch unchanged, no refresh needed');
+                this.currentBranches.set(repository.root, await getBranchName(repository.root));
+                this.checkMilestonesChanged(repository.root);
+
+                const watchers = [
+                    vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(vscode.Uri.file(gitDir), 'HEAD')),
+                    vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(
+                        vscode.Uri.file(commonDir),
+                        `{packed-refs,refs/heads/**,refs/remotes/**,${BACKUP_REF_PREFIX.replace(/\/$/, '')}/**,${CHECKPOINT_REF_PREFIX.replace(/\/$/, '')}/**}`
+                    ))
+                ];
+                const onChange = (uri: vscode.Uri) => {
+                    // git writes a .lock file first and renames it into place
+                    if (!uri.fsPath.endsWith('.lock')) {
+                        this.scheduleRepositoryRefresh(repository.root);
+                    }
+                };
+                for (const watcher of watchers) {
+                    watcher.onDidChange(onChange);
+                    watcher.onDidCreate(onChange);
+                    watcher.onDidDelete(onChange);
+                }
+                this.repositoryWatchers.set(repository.root, watchers);
+                log('Watching', gitDir === commonDir ? gitDir : `${gitDir} and ${commonDir}`, 'for', repository.root);
             }
         } catch (error) {
-            console.log('handleBranchChange error (possibly detached HEAD):', error);
-            // Branch might be in detached HEAD state or other git states
-            // Just update current branch to null and refresh
-            if (this.currentBranch !== null) {
-                console.log('Setting current branch to null and refreshing');
-                this.currentBranch = null;
-                this.updateStatusBar();
-                this.refreshTreeView();
-            }
+            log('Error setting up repository watchers:', error);
         }
     }
 
+    private cleanupRepositoryWatchers() {
+        for (const watchers of this.repositoryWatchers.values()) {
+            watchers.forEach(watcher => watcher.dispose());
+        }
+        this.repositoryWatchers.clear();
+        for (const timer of this.repositoryRefreshTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.repositoryRefreshTimers.clear();
+        this.currentBranches.clear();
+    }
+
+    // A commit, checkout, fetch or rebase touches several files in a row, so refreshes are debounced
+    private scheduleRepositoryRefresh(workspacePath: string) {
+        const pending = this.repositoryRefreshTimers.get(workspacePath);
+        if (pending) {
+            clearTimeout(pending);
+        }
+        this.repositoryRefreshTimers.set(workspacePath, setTimeout(() => {
+            this.repositoryRefreshTimers.delete(workspacePath);
+            this.handleRepositoryChange(workspacePath);
+        }, REPOSITORY_REFRESH_DELAY));
+    }
+
+    private async handleRepositoryChange(workspacePath: string) {
+        const previousBranch = this.currentBranches.get(workspacePath) ?? null;
+        const branch = await getBranchName(workspacePath);
+        this.currentBranches.set(workspacePath, branch);
+        if (branch !== previousBranch) {
+            log('Branch changed from', previousBranch ?? 'detached HEAD', 'to', branch ?? 'detached HEAD', 'in', workspacePath);
+        }
+
+        // New commits and moved remote refs can change the base as well as the milestone list
+        this.baseRefCache.delete(workspacePath);
+        this.statusBarEntries.delete(workspacePath);
+        this.updateStatusBar();
+        this.treeDataProvider.refreshRepository(workspacePath);
+        this.timelinePanel?.scheduleRefresh();
+        this.changeIndicators.refresh(workspacePath);
+        this.checkMilestonesChanged(workspacePath);
+    }
+
     public getBaseBranches(): string[] {
-        const hardcodedBranches = ['master', 'main'];
         const config = vscode.workspace.getConfiguration('milestone-manager');
-        const additionalBranches = config.get<string>('additionalBaseBranches', '');
-        
-        console.log('Reading base branches config:', {
-            workspace: vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || 'none',
-            additionalBranches,
-            configInspection: config.inspect('additionalBaseBranches')
-        });
-        
-        if (additionalBranches.trim()) {
-            const configuredBranches = additionalBranches
-                .split(';')
-                .map(branch => branch.trim())
-                .filter(branch => branch.length > 0);
-            
-            return [...hardcodedBranches, ...configuredBranches];
+        return parseBaseBranches(config.get<string>('additionalBaseBranches', ''));
+    }
+
+    // Returns the current branch, or shows why action is not possible right now and returns undefined
+    private async checkBranch(workspacePath: string, action: string, allowProtected = false): Promise<string | undefined> {
+        try {
+            return await checkBranchPolicy(workspacePath, this.getBaseBranches(), action, allowProtected);
+        } catch (error) {
+            if (error instanceof BranchPolicyError) {
+                vscode.window.showErrorMessage(error.message);
+                return undefined;
+            }
+            throw error;
         }
-        
-        return hardcodedBranches;
     }
 
     public getIgnoredFilesPattern(): string {
         const config = vscode.workspace.getConfiguration('milestone-manager');
-        const pattern = config.get<string>('ignoredFilesPattern', '\\.(log|tmp)$|appsettings\\..*\\.json$');
-        
-        console.log('Reading ignored files pattern config:', {
-            workspace: vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || 'none',
-            pattern,
-            configInspection: config.inspect('ignoredFilesPattern')
-        });
-        
-        return pattern;
+        return config.get<string>('ignoredFilesPattern', DEFAULT_IGNORED_FILES_PATTERN);
+    }
+
+    public async editMilestoneIgnore(repoPath?: string) {
+        try {
+            let workspacePath = repoPath;
+            if (!workspacePath) {
+                const picked = await this.pickRepositories(false);
+                if (!picked) {
+                    return;
+                }
+                workspacePath = picked[0].root;
+            }
+
+            const ignoreFile = path.join(workspacePath, MILESTONE_IGNORE_FILE);
+            if (!fs.existsSync(ignoreFile)) {
+                fs.writeFileSync(ignoreFile, [
+                    '# Files left out of milestone commits (gitignore syntax)',
+                    '# *.log',
+                    '# build/',
+                    '# !build/keep.txt',
+                    ''
+                ].join('\n'));
+            }
+            await vscode.window.showTextDocument(vscode.Uri.file(ignoreFile));
+        } catch (error) {
+            if (error instanceof Error) {
+                vscode.window.showErrorMessage(`Failed to open ${MILESTONE_IGNORE_FILE}: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage(`Failed to open ${MILESTONE_IGNORE_FILE}: Unknown error`);
+            }
+        }
     }
 
     public async configureBaseBranches() {
@@ -478,39 +3977,24 @@ class MilestoneManager {
             const currentValue = config.get<string>('additionalBaseBranches', '');
             
             const newValue = await vscode.window.showInputBox({
-                prompt: 'Enter additional base branches that cannot be force pushed to (separated by semicolons)',
-                placeHolder: 'develop;staging;release',
+                prompt: 'Enter additional base branches that cannot be force pushed to (separated by semicolons). Globs like release/* and /regex/ are matched too',
+                placeHolder: 'develop;release/*;hotfix-*',
                 value: currentValue,
                 title: 'Configure Protected Base Branches',
                 ignoreFocusOut: true
             });
 
             if (newValue !== undefined) {
-                // Try workspace settings first, fall back to global if it fails
-                try {
-                    await config.update('additionalBaseBranches', newValue, vscode.ConfigurationTarget.Workspace);
-                    const baseBranches = this.getBaseBranches();
-                    vscode.window.showInformationMessage(
-                        `Base branches updated (workspace). Protected branches: ${baseBranches.join(', ')}`
-                    );
-                } catch (workspaceError) {
-                    console.log('Failed to update workspace settings, trying global settings:', workspaceError);
-                    try {
-                        await config.update('additionalBaseBranches', newValue, vscode.ConfigurationTarget.Global);
-                        const baseBranches = this.getBaseBranches();
-                        vscode.window.showInformationMessage(
-                            `Base branches updated (global). Protected branches: ${baseBranches.join(', ')}`
-                        );
-                    } catch (globalError) {
-                        throw new Error(`Unable to save settings to workspace or global configuration: ${globalError}`);
-                    }
-                }
+                const target = await this.updateSetting('additionalBaseBranches', newValue);
+                vscode.window.showInformationMessage(
+                    `Base branches updated (${target}). Protected branches: ${this.getBaseBranches().join(', ')}`
+                );
                 
                 // Refresh the tree view
                 this.refreshTreeView();
             }
         } catch (error) {
-            console.error('Error configuring base branches:', error);
+            log('Error configuring base branches:', error);
             if (error instanceof Error) {
                 vscode.window.showErrorMessage(`Failed to update base branches: ${error.message}`);
             } else {
@@ -522,7 +4006,7 @@ class MilestoneManager {
     public async configureIgnoredFiles() {
         try {
             const config = vscode.workspace.getConfiguration('milestone-manager');
-            const currentValue = config.get<string>('ignoredFilesPattern', '\\.(log|tmp)$|appsettings\\..*\\.json$');
+            const currentValue = config.get<string>('ignoredFilesPattern', DEFAULT_IGNORED_FILES_PATTERN);
             
             const newValue = await vscode.window.showInputBox({
                 prompt: 'Enter regex pattern for files to exclude from milestone commits',
@@ -541,29 +4025,14 @@ class MilestoneManager {
             });
 
             if (newValue !== undefined) {
-                // Try workspace settings first, fall back to global if it fails
-                try {
-                    await config.update('ignoredFilesPattern', newValue, vscode.ConfigurationTarget.Workspace);
-                    vscode.window.showInformationMessage(
-                        `Ignored files pattern updated (workspace). Pattern: ${newValue}`
-                    );
-                } catch (workspaceError) {
-                    console.log('Failed to update workspace settings, trying global settings:', workspaceError);
-                    try {
-                        await config.update('ignoredFilesPattern', newValue, vscode.ConfigurationTarget.Global);
-                        vscode.window.showInformationMessage(
-                            `Ignored files pattern updated (global). Pattern: ${newValue}`
-                        );
-                    } catch (globalError) {
-                        throw new Error(`Unable to save settings to workspace or global configuration: ${globalError}`);
-                    }
-                }
+                const target = await this.updateSetting('ignoredFilesPattern', newValue);
+                vscode.window.showInformationMessage(`Ignored files pattern updated (${target}). Pattern: ${newValue}`);
                 
                 // Refresh the tree view
                 this.refreshTreeView();
             }
         } catch (error) {
-            console.error('Error configuring ignored files:', error);
+            log('Error configuring ignored files:', error);
             if (error instanceof Error) {
                 vscode.window.showErrorMessage(`Failed to update ignored files pattern: ${error.message}`);
             } else {
@@ -574,13 +4043,18 @@ class MilestoneManager {
 
     public async refresh() {
         try {
-            console.log('Manual refresh triggered');
+            log('Manual refresh triggered');
+            // Rediscover repositories in case some were created or removed
+            this.repositories = null;
+            await this.setupRepositoryWatchers();
+            // Retry queued pushes in the background
+            this.processPendingPushes(false);
             // Force refresh both status bar and webview
             await this.updateStatusBar();
             this.refreshTreeView();
             vscode.window.showInformationMessage('Milestones refreshed');
         } catch (error) {
-            console.error('Error during manual refresh:', error);
+            log('Error during manual refresh:', error);
             if (error instanceof Error) {
                 vscode.window.showErrorMessage(`Failed to refresh milestones: ${error.message}`);
             } else {
@@ -589,29 +4063,253 @@ class MilestoneManager {
         }
     }
 
+    // Last chance for the "windowBlur" trigger when the window closes
+    public async onWindowClose() {
+        if (this.getAutoMilestoneTriggers().includes('windowBlur')) {
+            this.lastAutoMilestone.clear();
+            await this.createAutoMilestones('windowBlur');
+        }
+    }
+
     public dispose() {
-        this.cleanupBranchWatcher();
+        this.timelinePanel?.dispose();
+        this.cleanupRepositoryWatchers();
+        this.cleanupAutoMilestones();
+        if (this.statusBarChangesTimer) {
+            clearTimeout(this.statusBarChangesTimer);
+            this.statusBarChangesTimer = null;
+        }
+        if (this.statusBarTickTimer) {
+            clearInterval(this.statusBarTickTimer);
+            this.statusBarTickTimer = null;
+        }
+        if (this.pendingPushTimer) {
+            clearInterval(this.pendingPushTimer);
+            this.pendingPushTimer = null;
+        }
+    }
+
+    public loadMoreMilestones(repoPath: string) {
+        this.treeDataProvider.loadMore(repoPath);
     }
 
     public showMilestones() {
-        this.refreshTreeView();
+        if (this.timelinePanel) {
+            this.timelinePanel.reveal();
+            return;
+        }
+        this.timelinePanel = new TimelinePanel(this, () => {
+            this.timelinePanel = undefined;
+        });
+    }
+
+    public async getTimelineState(): Promise<TimelineState> {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        const repositories = await Promise.all((await this.getRepositories()).map(async repository => {
+            const milestones = await this.getMilestones(repository.root, TIMELINE_MILESTONE_LIMIT);
+            const stats = await this.getDiffStats(repository.root, milestones.map(milestone => milestone.hash));
+            return {
+                root: repository.root,
+                name: repository.name,
+                branch: await getBranchName(repository.root),
+                milestones: milestones.map((milestone): TimelineMilestone => ({
+                    hash: milestone.hash,
+                    title: milestone.message,
+                    description: milestone.description,
+                    labels: milestone.labels ?? [],
+                    date: milestone.date,
+                    time: milestone.time,
+                    author: milestone.author,
+                    auto: milestone.auto,
+                    verified: milestone.verification?.passed,
+                    ...(stats.get(milestone.hash) ?? { filesChanged: 0, insertions: 0, deletions: 0 })
+                }))
+            };
+        }));
+
+        return {
+            repositories,
+            defaultBaseBranches: DEFAULT_BASE_BRANCHES,
+            settings: {
+                additionalBaseBranches: config.get<string>('additionalBaseBranches', ''),
+                ignoredFilesPattern: this.getIgnoredFilesPattern(),
+                ignoredFileGlobs: config.get<string[]>('ignoredFileGlobs', [])
+            }
+        };
+    }
+
+    // Files and lines changed by each commit, read with a single git call
+    private async getDiffStats(
+        workspacePath: string,
+        hashes: string[]
+    ): Promise<Map<string, { filesChanged: number; insertions: number; deletions: number }>> {
+        const stats = new Map<string, { filesChanged: number; insertions: number; deletions: number }>();
+        if (hashes.length === 0) {
+            return stats;
+        }
+
+        const { stdout } = await git(['show', '--shortstat', '--format=%x1e%H', ...hashes], { cwd: workspacePath });
+        for (const record of stdout.split('\x1e').filter(record => record.trim())) {
+            const [hash, ...rest] = record.trim().split('\n');
+            const summary = rest.join(' ');
+            const count = (pattern: RegExp) => {
+                const match = summary.match(pattern);
+                return match ? parseInt(match[1], 10) : 0;
+            };
+            stats.set(hash.trim(), {
+                filesChanged: count(/(\d+) files? changed/),
+                insertions: count(/(\d+) insertions?\(\+\)/),
+                deletions: count(/(\d+) deletions?\(-\)/)
+            });
+        }
+        return stats;
+    }
+
+    public async handleTimelineMessage(message: WebviewMessage): Promise<ExtensionMessage | void> {
+        if (message.type === 'saveSettings') {
+            return this.saveTimelineSettings(message.settings);
+        }
+        if (message.type === 'ready' || message.type === 'refresh') {
+            return;
+        }
+
+        // Only act on repositories the extension knows about
+        const repositories = await this.getRepositories();
+        if (!repositories.some(repository => repository.root === message.repo)) {
+            throw new Error(`Unknown repository: ${message.repo}`);
+        }
+
+        switch (message.type) {
+            case 'create':
+                await this.createMilestone(message.repo);
+                break;
+            case 'revert':
+                await this.revertToMilestone(message.hash, message.repo);
+                break;
+            case 'showDetails':
+                await this.showMilestoneDetails(message.hash, message.repo);
+                break;
+            case 'editMilestoneIgnore':
+                await this.editMilestoneIgnore(message.repo);
+                break;
+            case 'compare':
+                switch (message.target) {
+                    case 'previous':
+                        await this.compareWithPrevious(message.hash, message.repo);
+                        break;
+                    case 'workingTree':
+                        await this.compareWithWorkingTree(message.hash, message.repo);
+                        break;
+                    case 'milestone':
+                        await this.compareMilestones(message.hash, message.otherHash, message.repo);
+                        break;
+                }
+                break;
+        }
+    }
+
+    private async saveTimelineSettings(settings: TimelineSettings): Promise<ExtensionMessage> {
+        try {
+            new RegExp(settings.ignoredFilesPattern);
+        } catch {
+            return { type: 'error', message: 'Invalid ignored files pattern' };
+        }
+
+        await this.updateSetting('additionalBaseBranches', settings.additionalBaseBranches);
+        await this.updateSetting('ignoredFilesPattern', settings.ignoredFilesPattern);
+        const target = await this.updateSetting('ignoredFileGlobs', settings.ignoredFileGlobs);
+        return { type: 'settingsSaved', target };
+    }
+
+    // Tries workspace settings first and falls back to global settings, e.g. without an open folder
+    private async updateSetting(key: string, value: unknown): Promise<'workspace' | 'global'> {
+        const config = vscode.workspace.getConfiguration('milestone-manager');
+        try {
+            await config.update(key, value, vscode.ConfigurationTarget.Workspace);
+            return 'workspace';
+        } catch (workspaceError) {
+            log('Failed to update workspace settings, trying global settings:', workspaceError);
+            try {
+                await config.update(key, value, vscode.ConfigurationTarget.Global);
+                return 'global';
+            } catch (globalError) {
+                throw new Error(`Unable to save settings to workspace or global configuration: ${globalError}`);
+            }
+        }
     }
 
     private async refreshTreeView() {
+        // Branches may have moved, so the base has to be resolved again
+        this.baseRefCache.clear();
         this.treeDataProvider.refresh();
+        this.timelinePanel?.scheduleRefresh();
+        this.changeIndicators.refresh();
     }
 }
 
+// "5m ago", "2h 5m ago" or "3d ago"
+function formatElapsed(milliseconds: number): string {
+    const minutes = Math.floor(milliseconds / 60000);
+    if (minutes < 1) {
+        return 'just now';
+    }
+    if (minutes < 60) {
+        return `${minutes}m ago`;
+    }
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+        return `${hours}h ${minutes % 60}m ago`;
+    }
+    return `${Math.floor(hours / 24)}d ago`;
+}
+
+function escapeMarkdown(text: string): string {
+    return text.replace(/[\\`*_{}[\]()#+\-.!|<>]/g, '\\$&');
+}
+
 class MilestoneTreeDataProvider implements vscode.TreeDataProvider<MilestoneTreeItem> {
     private _onDidChangeTreeData: vscode.EventEmitter<MilestoneTreeItem | undefined | void> = new vscode.EventEmitter<MilestoneTreeItem | undefined | void>();
     readonly onDidChangeTreeData: vscode.Event<MilestoneTreeItem | undefined | void> = this._onDidChangeTreeData.event;
 
+    // Number of milestones shown per repository, grown by "Load more"
+    private milestoneLimits: Map<string, number> = new Map();
+    // Items of the last render, so a single repository can be refreshed on its own
+    private configItem?: MilestoneTreeItem;
+    private repositoryItems: Map<string, MilestoneTreeItem> = new Map();
+
     constructor(private milestoneManager: MilestoneManager) {}
 
     refresh(): void {
         this._onDidChangeTreeData.fire();
     }
 
+    async refreshRepository(repoPath: string): Promise<void> {
+        const repositoryItem = this.repositoryItems.get(repoPath);
+        if (!repositoryItem) {
+            this.refresh();
+            return;
+        }
+        await this.describeRepository(repositoryItem, repoPath);
+        this._onDidChangeTreeData.fire(repositoryItem);
+        // The Configuration section shows each repository's base and excluded files
+        if (this.configItem) {
+            this._onDidChangeTreeData.fire(this.configItem);
+        }
+    }
+
+    private async describeRepository(item: MilestoneTreeItem, repoPath: string) {
+        item.description = await getBranchName(repoPath) ?? 'detached HEAD';
+        if (this.milestoneManager.hasPendingPush(repoPath)) {
+            item.description += ' · push pending';
+        }
+    }
+
+    loadMore(repoPath: string): void {
+        const limit = this.milestoneLimits.get(repoPath) ?? MILESTONE_PAGE_SIZE;
+        this.milestoneLimits.set(repoPath, limit + MILESTONE_PAGE_SIZE);
+        this.refresh();
+    }
+
     getTreeItem(element: MilestoneTreeItem): vscode.TreeItem {
         return element;
     }
@@ -629,6 +4327,7 @@ class MilestoneTreeDataProvider implements vscode.TreeDataProvider<MilestoneTree
             );
             configItem.iconPath = new vscode.ThemeIcon('settings-gear');
             items.push(configItem);
+            this.configItem = configItem;
 
             // Actions section
             const actionsItem = new MilestoneTreeItem(
@@ -639,32 +4338,64 @@ class MilestoneTreeDataProvider implements vscode.TreeDataProvider<MilestoneTree
             actionsItem.iconPath = new vscode.ThemeIcon('tools');
             items.push(actionsItem);
 
-            // Milestones section
-            const milestonesItem = new MilestoneTreeItem(
-                'Milestones',
-                vscode.TreeItemCollapsibleState.Expanded,
-                'milestones'
-            );
-            milestonesItem.iconPath = new vscode.ThemeIcon('milestone');
-            items.push(milestonesItem);
+            // One milestones section per repository in the workspace
+            const repositories = await this.milestoneManager.getRepositories();
+            if (repositories.length === 0) {
+                const noRepoItem = new MilestoneTreeItem(
+                    'No git repositories found',
+                    vscode.TreeItemCollapsibleState.None,
+                    'no-repositories'
+                );
+                noRepoItem.iconPath = new vscode.ThemeIcon('info');
+                items.push(noRepoItem);
+            }
+
+            this.repositoryItems.clear();
+            for (const repository of repositories) {
+                const repositoryItem = new MilestoneTreeItem(
+                    repository.name,
+                    vscode.TreeItemCollapsibleState.Expanded,
+                    'repository',
+                    undefined,
+                    repository.root
+                );
+                repositoryItem.contextValue = 'repository';
+                await this.describeRepository(repositoryItem, repository.root);
+                this.repositoryItems.set(repository.root, repositoryItem);
+                repositoryItem.tooltip = repository.root;
+                repositoryItem.iconPath = new vscode.ThemeIcon('repo');
+                items.push(repositoryItem);
+            }
 
             return items;
         } else {
             // Child items based on parent type
             switch (element.type) {
                 case 'config':
-                    return this.getConfigChildren();
+                    return await this.getConfigChildren();
                 case 'actions':
-                    return this.getActionChildren();
-                case 'milestones':
-                    return await this.getMilestoneChildren();
+                    return await this.getActionChildren();
+                case 'repository':
+                    return await this.getRepositoryChildren(element.repoPath!);
+                case 'recovery':
+                    return await this.getRecoveryChildren(element.repoPath!);
+                case 'other-branches':
+                    return await this.getOtherBranchesChildren(element.repoPath!);
+                case 'auto-group':
+                case 'excluded-files':
+                case 'branch':
+                    return element.children ?? [];
+                case 'milestone':
+                case 'checkpoint':
+                case 'branch-milestone':
+                    return await this.getMilestoneFileChildren(element.hash!, element.repoPath!);
                 default:
                     return [];
             }
         }
     }
 
-    private getConfigChildren(): MilestoneTreeItem[] {
+    private async getConfigChildren(): Promise<MilestoneTreeItem[]> {
         const config = vscode.workspace.getConfiguration('milestone-manager');
         const additionalBranches = config.get<string>('additionalBaseBranches', '');
         const baseBranches = this.milestoneManager.getBaseBranches();
@@ -720,10 +4451,85 @@ class MilestoneTreeDataProvider implements vscode.TreeDataProvider<MilestoneTree
         currentIgnoreItem.tooltip = 'Current ignored files regex pattern';
         items.push(currentIgnoreItem);
 
+        const editIgnoreItem = new MilestoneTreeItem(
+            `Edit ${MILESTONE_IGNORE_FILE}`,
+            vscode.TreeItemCollapsibleState.None,
+            'edit-milestone-ignore'
+        );
+        editIgnoreItem.command = {
+            command: 'milestone-manager.editMilestoneIgnore',
+            title: `Edit ${MILESTONE_IGNORE_FILE}`
+        };
+        editIgnoreItem.iconPath = new vscode.ThemeIcon('go-to-file');
+        editIgnoreItem.tooltip = 'Gitignore-style rules for files to leave out of milestones';
+        items.push(editIgnoreItem);
+
+        const repositories = await this.milestoneManager.getRepositories();
+
+        // Show which rule keeps each changed file out of the next milestone
+        for (const repository of repositories) {
+            let excluded: { path: string; rule: IgnoreRule }[] = [];
+            try {
+                excluded = await this.milestoneManager.getExcludedFiles(repository.root);
+            } catch (error) {
+                log('Error getting excluded files:', error);
+            }
+            const excludedItem = new MilestoneTreeItem(
+                repositories.length > 1 ? `Excluded Files (${repository.name})` : 'Excluded Files',
+                excluded.length > 0 ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None,
+                'excluded-files',
+                undefined,
+                repository.root
+            );
+            excludedItem.description = `${excluded.length}`;
+            excludedItem.iconPath = new vscode.ThemeIcon('exclude');
+            excludedItem.tooltip = 'Changed files that ignore rules leave out of the next milestone';
+            excludedItem.children = excluded.map(({ path: file, rule }) => {
+                const item = new MilestoneTreeItem(
+                    path.basename(file),
+                    vscode.TreeItemCollapsibleState.None,
+                    'excluded-file',
+                    undefined,
+                    repository.root
+                );
+                const directory = path.dirname(file);
+                item.description = directory === '.' ? rule.source : `${directory} · ${rule.source}`;
+                item.resourceUri = vscode.Uri.file(path.join(repository.root, file));
+                item.tooltip = `${file}\nExcluded by ${rule.source}: ${rule.pattern}`;
+                return item;
+            });
+            items.push(excludedItem);
+        }
+
+        // Show the base each repository's milestones are listed from
+        for (const repository of repositories) {
+            const base = await this.milestoneManager.resolveBaseRef(repository.root);
+            const baseItem = new MilestoneTreeItem(
+                repositories.length > 1
+                    ? `Base (${repository.name}): ${base.ref ?? 'none'}`
+                    : `Base: ${base.ref ?? 'none'}`,
+                vscode.TreeItemCollapsibleState.None,
+                'base-ref',
+                undefined,
+                repository.root
+            );
+            baseItem.description = base.source;
+            baseItem.command = {
+                command: 'milestone-manager.configureBaseRef',
+                title: 'Configure Base Ref',
+                arguments: [repository.root]
+            };
+            baseItem.iconPath = new vscode.ThemeIcon('git-merge');
+            baseItem.tooltip = base.source === 'none'
+                ? 'No base found - all milestones reachable from HEAD are listed. Click to configure'
+                : `Milestones are listed from ${base.ref} (${base.source}). Click to configure`;
+            items.push(baseItem);
+        }
+
         return items;
     }
 
-    private getActionChildren(): MilestoneTreeItem[] {
+    private async getActionChildren(): Promise<MilestoneTreeItem[]> {
         const items: MilestoneTreeItem[] = [];
 
         // Create milestone action
@@ -752,13 +4558,41 @@ class MilestoneTreeDataProvider implements vscode.TreeDataProvider<MilestoneTree
         refreshItem.iconPath = new vscode.ThemeIcon('refresh');
         items.push(refreshItem);
 
+        // Create milestone in all repositories action (multi-root workspaces only)
+        if ((await this.milestoneManager.getRepositories()).length > 1) {
+            const createAllItem = new MilestoneTreeItem(
+                'Create Milestone in All Repositories',
+                vscode.TreeItemCollapsibleState.None,
+                'create-milestone-all'
+            );
+            createAllItem.command = {
+                command: 'milestone-manager.createMilestoneInAllRepositories',
+                title: 'Create Milestone in All Repositories'
+            };
+            createAllItem.iconPath = new vscode.ThemeIcon('repo-clone');
+            items.push(createAllItem);
+        }
+
         return items;
     }
 
-    private async getMilestoneChildren(): Promise<MilestoneTreeItem[]> {
-        const milestones = await this.milestoneManager.getMilestones();
-        
-        if (milestones.length === 0) {
+    private async getMilestoneChildren(repoPath: string): Promise<MilestoneTreeItem[]> {
+        // Fetch one extra milestone to know whether a "Load more" item is needed
+        const limit = this.milestoneLimits.get(repoPath) ?? MILESTONE_PAGE_SIZE;
+        const milestones = await this.milestoneManager.getMilestones(repoPath, limit + 1);
+        const hasMore = milestones.length > limit;
+        if (hasMore) {
+            milestones.pop();
+        }
+
+        // Checkpoints are listed among the milestones by date, down to the oldest milestone shown
+        const oldest = hasMore ? milestones[milestones.length - 1] : undefined;
+        const checkpoints = (await this.milestoneManager.getCheckpoints(repoPath))
+            .filter(checkpoint => !oldest || checkpoint.timestamp >= oldest.timestamp);
+        const entries = [...milestones, ...checkpoints]
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+        if (entries.length === 0) {
             const noMilestonesItem = new MilestoneTreeItem(
                 'No milestones yet',
                 vscode.TreeItemCollapsibleState.None,
@@ -768,32 +4602,326 @@ class MilestoneTreeDataProvider implements vscode.TreeDataProvider<MilestoneTree
             return [noMilestonesItem];
         }
 
-        return milestones.map((milestone, index) => {
+        // null means the branch has never been pushed
+        const unpushed = await this.milestoneManager.getUnpushedHashes(repoPath);
+        const baseline = this.milestoneManager.getPinnedBaseline(repoPath);
+
+        const milestoneItems = entries.map((milestone, index) => {
+            // Checkpoints are not on the branch, whether they were pushed is not tracked
+            const isUnpushed = !milestone.checkpoint && (unpushed === null || unpushed.has(milestone.hash));
             const item = new MilestoneTreeItem(
                 milestone.message,
+                vscode.TreeItemCollapsibleState.Collapsed,
+                milestone.checkpoint ? 'checkpoint' : 'milestone',
+                milestone.hash,
+                repoPath
+            );
+            const labels = milestone.labels?.length ? `[${milestone.labels.join(', ')}] ` : '';
+            item.description = `${labels}${milestone.date} ${milestone.time} (${milestone.hash.substring(0, 7)})${index === 0 ? ' (Latest)' : ''}${isUnpushed ? ' · unpushed' : ''}`;
+            item.command = {
+                command: 'milestone-manager.showMilestoneDetails',
+                title: 'Show Milestone Details',
+                arguments: [milestone.hash, repoPath]
+            };
+            // Automatic milestones get a clock icon so manual ones stand out
+            const icon = milestone.auto ? 'watch' : milestone.checkpoint ? 'bookmark' : 'tag';
+            item.iconPath = isUnpushed
+                ? new vscode.ThemeIcon(icon, new vscode.ThemeColor('list.warningForeground'))
+                : new vscode.ThemeIcon(icon);
+            if (milestone.verification) {
+                item.iconPath = milestone.verification.passed
+                    ? new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed'))
+                    : new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed'));
+            }
+            if (milestone.checkpoint) {
+                item.description = `checkpoint · ${item.description}`;
+            }
+            if (milestone.auto) {
+                item.description = `auto · ${item.description}`;
+            }
+            if (milestone.hash === baseline) {
+                item.description = `${item.description} · baseline`;
+            }
+            item.tooltip = this.buildMilestoneTooltip(milestone, isUnpushed);
+            item.contextValue = milestone.checkpoint ? 'checkpoint' : 'milestone';
+            item.checkpointRef = milestone.checkpoint;
+            return item;
+        });
+
+        // Runs of consecutive automatic milestones are folded into one collapsed node
+        const items: MilestoneTreeItem[] = [];
+        let autoRun: MilestoneTreeItem[] = [];
+        const flushAutoRun = () => {
+            if (autoRun.length > 1) {
+                const groupItem = new MilestoneTreeItem(
+                    `${autoRun.length} automatic milestones`,
+                    vscode.TreeItemCollapsibleState.Collapsed,
+                    'auto-group',
+                    undefined,
+                    repoPath
+                );
+                groupItem.iconPath = new vscode.ThemeIcon('watch');
+                groupItem.description = `${entries[milestoneItems.indexOf(autoRun[autoRun.length - 1])].date} - ${entries[milestoneItems.indexOf(autoRun[0])].date}`;
+                groupItem.contextValue = 'auto-group';
+                groupItem.children = autoRun;
+                items.push(groupItem);
+            } else {
+                items.push(...autoRun);
+            }
+            autoRun = [];
+        };
+        milestoneItems.forEach((item, index) => {
+            if (entries[index].auto) {
+                autoRun.push(item);
+            } else {
+                flushAutoRun();
+                items.push(item);
+            }
+        });
+        flushAutoRun();
+
+        if (hasMore) {
+            const loadMoreItem = new MilestoneTreeItem(
+                'Load more...',
+                vscode.TreeItemCollapsibleState.None,
+                'load-more',
+                undefined,
+                repoPath
+            );
+            loadMoreItem.command = {
+                command: 'milestone-manager.loadMoreMilestones',
+                title: 'Load More Milestones',
+                arguments: [repoPath]
+            };
+            loadMoreItem.iconPath = new vscode.ThemeIcon('ellipsis');
+            items.push(loadMoreItem);
+        }
+
+        return items;
+    }
+
+    // otherBranch names the branch of a milestone that is not on the current branch
+    private buildMilestoneTooltip(milestone: Milestone, isUnpushed: boolean, otherBranch?: string): vscode.MarkdownString {
+        const tooltip = new vscode.MarkdownString();
+        tooltip.appendMarkdown(`**${escapeMarkdown(milestone.message)}**\n\n`);
+        if (milestone.description) {
+            tooltip.appendText(milestone.description);
+            tooltip.appendMarkdown('\n\n');
+        }
+        if (milestone.labels?.length) {
+            tooltip.appendMarkdown(`Labels: ${milestone.labels.map(label => `\`${label}\``).join(' ')}\n\n`);
+        }
+        tooltip.appendText(`${milestone.author ? `${milestone.author}, ` : ''}${milestone.date} ${milestone.time} (${milestone.hash.substring(0, 7)})`);
+        if (isUnpushed) {
+            tooltip.appendMarkdown('\n\nNot pushed to the remote yet');
+        }
+        if (milestone.group) {
+            tooltip.appendMarkdown(`\n\nCreated together with other repositories (group ${milestone.group})`);
+        }
+        if (milestone.auto) {
+            tooltip.appendMarkdown(`\n\nCreated automatically (${escapeMarkdown(milestone.auto)})`);
+        }
+        if (milestone.verification) {
+            tooltip.appendMarkdown(`\n\nVerification ${formatVerification(milestone.verification)}`);
+        }
+        if (otherBranch) {
+            tooltip.appendMarkdown(`\n\nOn branch ${escapeMarkdown(otherBranch)}`);
+            tooltip.appendMarkdown('\n\n_Click to show details, right-click to compare, cherry-pick or create a branch_');
+            return tooltip;
+        }
+        if (milestone.checkpoint) {
+            tooltip.appendMarkdown('\n\nCheckpoint, saved outside the branch history');
+            tooltip.appendMarkdown('\n\n_Click to show details, right-click to restore or delete_');
+            return tooltip;
+        }
+        tooltip.appendMarkdown('\n\n_Click to show details, right-click to revert, rename or delete_');
+        return tooltip;
+    }
+
+    private async getRepositoryChildren(repoPath: string): Promise<MilestoneTreeItem[]> {
+        const items = await this.getMilestoneChildren(repoPath);
+
+        // Recovery section only appears once there is something to recover
+        const backups = await this.milestoneManager.getBackups(repoPath);
+        if (backups.length > 0) {
+            const recoveryItem = new MilestoneTreeItem(
+                'Recovery',
+                vscode.TreeItemCollapsibleState.Collapsed,
+                'recovery',
+                undefined,
+                repoPath
+            );
+            recoveryItem.description = `${backups.length} backup${backups.length === 1 ? '' : 's'}`;
+            recoveryItem.tooltip = 'States saved automatically before reverting, restoring files or backups, and before renaming, deleting, undoing, amending, pruning or finalizing milestones';
+            recoveryItem.iconPath = new vscode.ThemeIcon('history');
+            recoveryItem.contextValue = 'recovery';
+            items.push(recoveryItem);
+        }
+
+        // Listed when expanded, so other branches cost nothing until someone looks at them
+        const otherBranchesItem = new MilestoneTreeItem(
+            'Other Branches',
+            vscode.TreeItemCollapsibleState.Collapsed,
+            'other-branches',
+            undefined,
+            repoPath
+        );
+        otherBranchesItem.tooltip = 'Milestones on other local and remote-tracking branches that are not on the current branch';
+        otherBranchesItem.iconPath = new vscode.ThemeIcon('git-branch');
+        otherBranchesItem.contextValue = 'other-branches';
+        items.push(otherBranchesItem);
+
+        return items;
+    }
+
+    private async getOtherBranchesChildren(repoPath: string): Promise<MilestoneTreeItem[]> {
+        const groups = await this.milestoneManager.getBranchMilestones(repoPath);
+        if (groups.length === 0) {
+            const noMilestonesItem = new MilestoneTreeItem(
+                'No milestones on other branches',
+                vscode.TreeItemCollapsibleState.None,
+                'no-milestones'
+            );
+            noMilestonesItem.iconPath = new vscode.ThemeIcon('info');
+            return [noMilestonesItem];
+        }
+
+        return groups.map(group => {
+            const branchItem = new MilestoneTreeItem(
+                group.branch,
+                vscode.TreeItemCollapsibleState.Collapsed,
+                'branch',
+                undefined,
+                repoPath
+            );
+            branchItem.description = `${group.milestones.length} milestone${group.milestones.length === 1 ? '' : 's'}`;
+            branchItem.iconPath = new vscode.ThemeIcon(group.remote ? 'cloud' : 'git-branch');
+            branchItem.contextValue = 'branch';
+            branchItem.children = group.milestones.map(milestone => {
+                const item = new MilestoneTreeItem(
+                    milestone.message,
+                    vscode.TreeItemCollapsibleState.Collapsed,
+                    'branch-milestone',
+                    milestone.hash,
+                    repoPath
+                );
+                const labels = milestone.labels?.length ? `[${milestone.labels.join(', ')}] ` : '';
+                item.description = `${labels}${milestone.date} ${milestone.time} (${milestone.hash.substring(0, 7)})`;
+                item.command = {
+                    command: 'milestone-manager.showMilestoneDetails',
+                    title: 'Show Milestone Details',
+                    arguments: [milestone.hash, repoPath]
+                };
+                item.iconPath = milestone.verification
+                    ? new vscode.ThemeIcon(milestone.verification.passed ? 'pass' : 'error')
+                    : new vscode.ThemeIcon(milestone.auto ? 'watch' : 'tag');
+                item.tooltip = this.buildMilestoneTooltip(milestone, false, group.branch);
+                item.contextValue = 'branch-milestone';
+                return item;
+            });
+            return branchItem;
+        });
+    }
+
+    private async getRecoveryChildren(repoPath: string): Promise<MilestoneTreeItem[]> {
+        const backups = await this.milestoneManager.getBackups(repoPath);
+        return backups.map(backup => {
+            const item = new MilestoneTreeItem(
+                backup.description,
+                vscode.TreeItemCollapsibleState.None,
+                'backup',
+                backup.hash,
+                repoPath
+            );
+            item.description = `${backup.date} ${backup.time}`;
+            item.tooltip = `${backup.ref}\nUse the restore action to bring back this state locally and on the remote`;
+            item.iconPath = new vscode.ThemeIcon('archive');
+            item.contextValue = 'backup';
+            item.backupRef = backup.ref;
+            return item;
+        });
+    }
+
+    private async getMilestoneFileChildren(hash: string, repoPath: string): Promise<MilestoneTreeItem[]> {
+        let files: ChangedFile[];
+        try {
+            files = await this.milestoneManager.getMilestoneFiles(repoPath, hash);
+        } catch (error) {
+            log('Error getting milestone files:', error);
+            files = [];
+        }
+
+        if (files.length === 0) {
+            const noFilesItem = new MilestoneTreeItem(
+                'No files changed',
+                vscode.TreeItemCollapsibleState.None,
+                'no-files'
+            );
+            noFilesItem.iconPath = new vscode.ThemeIcon('info');
+            return [noFilesItem];
+        }
+
+        return files.map(file => {
+            const item = new MilestoneTreeItem(
+                path.basename(file.path),
                 vscode.TreeItemCollapsibleState.None,
-                'milestone',
-                milestone.hash
+                'milestone-file',
+                hash,
+                repoPath
             );
-            item.description = `${milestone.date} ${milestone.time} (${milestone.hash.substring(0, 7)})${index === 0 ? ' (Latest)' : ''}`;
+            const directory = path.dirname(file.path);
+            item.description = directory === '.' ? file.status : `${directory} · ${file.status}`;
+            item.resourceUri = vscode.Uri.file(path.join(repoPath, file.path));
+            item.tooltip = `${file.path}\nClick to see the changes made in this milestone`;
             item.command = {
-                command: 'milestone-manager.revertToMilestone',
-                title: 'Revert to Milestone',
-                arguments: [milestone.hash]
+                command: 'milestone-manager.openMilestoneFileDiff',
+                title: 'Open Changes',
+                arguments: [repoPath, hash, file]
             };
-            item.iconPath = new vscode.ThemeIcon('tag');
-            item.tooltip = `Click to revert to this milestone\n${milestone.date} ${milestone.time}`;
             return item;
         });
     }
 }
 
+class MilestoneContentProvider implements vscode.TextDocumentContentProvider {
+    async provideTextDocumentContent(uri: vscode.Uri): Promise<string> {
+        const { repo, ref } = JSON.parse(uri.query) as { repo: string; ref: string };
+        const relativePath = uri.path.replace(/^\//, '');
+
+        try {
+            const { stdout } = await git(['show', `${ref}:${relativePath}`], { cwd: repo });
+            return stdout;
+        } catch {
+            // The file does not exist at this milestone (added or deleted)
+            return '';
+        }
+    }
+}
+
+class MilestoneDetailsProvider implements vscode.TextDocumentContentProvider {
+    constructor(private milestoneManager: MilestoneManager) {}
+
+    async provideTextDocumentContent(uri: vscode.Uri): Promise<string> {
+        const { repo, hash } = JSON.parse(uri.query) as { repo: string; hash: string };
+        try {
+            return await this.milestoneManager.renderMilestoneDetails(repo, hash);
+        } catch (error) {
+            return `Could not load milestone ${hash}: ${error instanceof Error ? error.message : 'Unknown error'}`;
+        }
+    }
+}
+
 class MilestoneTreeItem extends vscode.TreeItem {
+    public backupRef?: string;
+    public checkpointRef?: string;
+    public children?: MilestoneTreeItem[];
+
     constructor(
         public readonly label: string,
         public readonly collapsibleState: vscode.TreeItemCollapsibleState,
         public readonly type: string,
-        public readonly hash?: string
+        public readonly hash?: string,
+        public readonly repoPath?: string
     ) {
         super(label, collapsibleState);
     }
@@ -801,18 +4929,241 @@ class MilestoneTreeItem extends vscode.TreeItem {
 
 let milestoneManagerInstance: MilestoneManager | null = null;
 
-export function activate(context: vscode.ExtensionContext) {
-    milestoneManagerInstance = new MilestoneManager(context);
+export function activate(context: vscode.ExtensionContext): MilestoneManagerApi {
+    outputChannel = vscode.window.createOutputChannel('Milestone Manager');
+    context.subscriptions.push(outputChannel);
+    setGitLogger(log);
+    setCoreLogger(log);
+
+    const manager = new MilestoneManager(context);
+    milestoneManagerInstance = manager;
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.showLog', () => {
+            outputChannel?.show();
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.createMilestone', (target?: MilestoneTreeItem | string | CreateMilestoneOptions) => {
+            // Options create the milestone without prompts and resolve to it, for scripts and other extensions
+            if (target && typeof target === 'object' && !(target instanceof MilestoneTreeItem)) {
+                return milestoneManagerInstance?.createMilestoneHeadless(target);
+            }
+            // Invoked from a repository node in the tree, with a repository path, or without arguments
+            const repoPath = typeof target === 'string' ? target : target?.repoPath;
+            milestoneManagerInstance?.createMilestone(repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.createMilestoneInAllRepositories', () => {
+            milestoneManagerInstance?.createMilestoneInAllRepositories();
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.revertToMilestone', (target?: MilestoneTreeItem | string, repoPath?: string, mode?: RestoreMode) => {
+            // Invoked from the context menu with the tree item, or with a hash, repository path and optional mode
+            if (target instanceof MilestoneTreeItem) {
+                return milestoneManagerInstance?.revertToMilestone(target.hash, target.repoPath);
+            }
+            return milestoneManagerInstance?.revertToMilestone(target, repoPath, mode);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.showMilestoneDetails', (hash?: string, repoPath?: string) => {
+            milestoneManagerInstance?.showMilestoneDetails(hash, repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.restoreCheckpoint', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.restoreCheckpoint(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.deleteCheckpoint', (item: MilestoneTreeItem) => {
+            if (item.checkpointRef && item.repoPath) {
+                milestoneManagerInstance?.deleteCheckpoint(item.checkpointRef, item.repoPath);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.setComparisonBaseline', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.setComparisonBaseline(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.openChangesSinceMilestone', (uri?: vscode.Uri) => {
+            milestoneManagerInstance?.openChangesSinceMilestone(uri instanceof vscode.Uri ? uri : undefined);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.revertToLastVerifiedMilestone', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.revertToLastVerifiedMilestone(item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.browseBranchMilestones', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.browseBranchMilestones(item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.cherryPickMilestone', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.cherryPickMilestone(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.createBranchFromMilestone', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.createBranchFromMilestone(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.renameMilestone', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.renameMilestone(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.deleteMilestone', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.deleteMilestone(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.undoLastMilestone', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.undoLastMilestone(item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.amendLastMilestone', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.amendLastMilestone(item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.copyMilestoneHash', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.copyMilestone(item?.hash, item?.repoPath, 'hash');
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.copyMilestoneMessage', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.copyMilestone(item?.hash, item?.repoPath, 'message');
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.openMilestoneOnRemote', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.openMilestoneOnRemote(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.checkoutMilestoneDetached', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.checkoutMilestoneDetached(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.compareWithPrevious', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.compareWithPrevious(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.compareWithWorkingTree', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.compareWithWorkingTree(item?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.compareMilestones', (item?: MilestoneTreeItem, selected?: MilestoneTreeItem[]) => {
+            // With multi-selection the second milestone comes from the other selected item
+            const other = selected?.find(candidate =>
+                candidate.type === 'milestone' && candidate.hash !== item?.hash && candidate.repoPath === item?.repoPath
+            );
+            milestoneManagerInstance?.compareMilestones(item?.hash, other?.hash, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.openMilestoneFileDiff', (repoPath: string, hash: string, file: ChangedFile) => {
+            milestoneManagerInstance?.openMilestoneFileDiff(repoPath, hash, file);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.undoLastRevert', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.undoLastRevert(item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.restoreBackup', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.restoreBackup(item?.backupRef, item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.deleteBackup', (item: MilestoneTreeItem) => {
+            if (item?.backupRef && item.repoPath) {
+                milestoneManagerInstance?.deleteBackup(item.backupRef, item.repoPath);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.pushPendingMilestones', () => {
+            milestoneManagerInstance?.processPendingPushes(true);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.configureBaseRef', (target?: MilestoneTreeItem | string) => {
+            const repoPath = typeof target === 'string' ? target : target?.repoPath;
+            milestoneManagerInstance?.configureBaseRef(repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.loadMoreMilestones', (repoPath: string) => {
+            milestoneManagerInstance?.loadMoreMilestones(repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.finalizeBranch', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.finalizeBranch(item?.repoPath);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('milestone-manager.exportMilestones', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.exportMilestones(item?.repoPath);
+        })
+    );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('milestone-manager.createMilestone', () => {
-            milestoneManagerInstance?.createMilestone();
+        vscode.commands.registerCommand('milestone-manager.pruneAutoMilestones', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.pruneAutoMilestones(item?.repoPath);
         })
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('milestone-manager.revertToMilestone', (hash: string) => {
-            milestoneManagerInstance?.revertToMilestone(hash);
+        vscode.commands.registerCommand('milestone-manager.editMilestoneIgnore', (item?: MilestoneTreeItem) => {
+            milestoneManagerInstance?.editMilestoneIgnore(item?.repoPath);
         })
     );
 
@@ -839,10 +5190,26 @@ export function activate(context: vscode.ExtensionContext) {
             milestoneManagerInstance?.showMilestones();
         })
     );
+
+    context.subscriptions.push(
+        vscode.window.registerUriHandler({
+            handleUri: uri => manager.handleUri(uri)
+        })
+    );
+
+    return {
+        version: API_VERSION,
+        getRepositories: async () => (await manager.getRepositories()).map(repository => repository.root),
+        getMilestones: repository => manager.getApiMilestones(repository),
+        createMilestone: options => manager.createMilestoneHeadless(options ?? {}),
+        revertToMilestone: options => manager.revertFromApi(options),
+        onDidChangeMilestones: manager.onDidChangeMilestones
+    };
 }
 
-export function deactivate() {
+export async function deactivate() {
     if (milestoneManagerInstance) {
+        await milestoneManagerInstance.onWindowClose();
         milestoneManagerInstance.dispose();
         milestoneManagerInstance = null;
     }
@@ -0,0 +1,102 @@
+import * as child_process from 'child_process';
+
+export const GIT_MAX_BUFFER = 50 * 1024 * 1024;
+
+// Longest stdout written to the log for a single command
+const LOG_OUTPUT_LIMIT = 2000;
+
+export interface GitOptions {
+    cwd: string;
+    // Added to the extension host's environment
+    env?: NodeJS.ProcessEnv;
+    // Written to git's stdin, e.g. a commit message read with "-F -"
+    input?: string;
+    // Milliseconds, overrides the default timeout
+    timeout?: number;
+    signal?: AbortSignal;
+}
+
+export interface GitResult {
+    stdout: string;
+    stderr: string;
+}
+
+export class GitError extends Error {
+    constructor(
+        message: string,
+        public readonly args: string[],
+        public readonly stderr: string,
+        public readonly cancelled = false,
+        public readonly timedOut = false
+    ) {
+        super(message);
+    }
+}
+
+let log: (line: string) => void = () => undefined;
+let defaultTimeout = 0;
+
+export function setGitLogger(logger: (line: string) => void) {
+    log = logger;
+}
+
+export function setGitTimeout(milliseconds: number) {
+    defaultTimeout = Math.max(0, milliseconds);
+}
+
+function formatArgs(args: string[]): string {
+    return args.map(arg => /^[\w@%^~./:=+-]+$/.test(arg) ? arg : JSON.stringify(arg)).join(' ');
+}
+
+// Runs git without a shell, so notes, file names and refs are never interpreted as shell code
+export function git(args: string[], options: GitOptions): Promise<GitResult> {
+    const command = `git ${formatArgs(args)}`;
+    const started = Date.now();
+    log(`> ${command}  (${options.cwd})`);
+
+    return new Promise((resolve, reject) => {
+        const child = child_process.execFile('git', args, {
+            cwd: options.cwd,
+            env: options.env ? { ...process.env, ...options.env } : process.env,
+            timeout: options.timeout ?? defaultTimeout,
+            signal: options.signal,
+            maxBuffer: GIT_MAX_BUFFER,
+            windowsHide: true
+        }, (error, stdout, stderr) => {
+            const elapsed = Date.now() - started;
+            if (stdout.trim()) {
+                log(stdout.length > LOG_OUTPUT_LIMIT
+                    ? `${stdout.substring(0, LOG_OUTPUT_LIMIT)}\n... (${stdout.length - LOG_OUTPUT_LIMIT} more characters)`
+                    : stdout.trimEnd());
+            }
+            if (stderr.trim()) {
+                log(stderr.trimEnd());
+            }
+
+            if (error) {
+                const cancelled = error.name === 'AbortError';
+                const timedOut = !cancelled && error.killed === true;
+                const reason = cancelled
+                    ? 'cancelled'
+                    : timedOut ? `timed out after ${elapsed} ms` : `exit code ${error.code}`;
+                log(`  failed: ${reason}`);
+                reject(new GitError(
+                    cancelled || timedOut ? `${command} ${reason}` : `${command} failed: ${stderr.trim() || error.message}`,
+                    args,
+                    stderr,
+                    cancelled,
+                    timedOut
+                ));
+                return;
+            }
+
+            log(`  done in ${elapsed} ms`);
+            resolve({ stdout, stderr });
+        });
+
+        // Always close stdin so a command waiting for input cannot hang. git may exit before reading
+        // it; the resulting EPIPE is not an error of its own, the exit code above reports the outcome
+        child.stdin?.on('error', () => undefined);
+        child.stdin?.end(options.input ?? '');
+    });
+}
@@ -0,0 +1,155 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+export const MILESTONE_IGNORE_FILE = '.milestoneignore';
+
+export interface IgnoreRule {
+    // Where the rule comes from, e.g. ".milestoneignore:3" or "ignoredFileGlobs"
+    source: string;
+    pattern: string;
+    negated: boolean;
+    directoryOnly: boolean;
+    regex: RegExp;
+}
+
+// Translates one gitignore-style glob into a regex over repository-relative paths
+function globToRegex(glob: string): RegExp {
+    // A slash anywhere but the end anchors the pattern to the repository root
+    const anchored = glob.includes('/');
+    const body = glob.replace(/^\//, '');
+
+    let source = '';
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '*') {
+            if (body[i + 1] === '*') {
+                const atStart = i === 0;
+                const followedBySlash = body[i + 2] === '/';
+                const atEnd = i + 2 === body.length;
+                if ((atStart || body[i - 1] === '/') && followedBySlash) {
+                    // "**/" matches zero or more directories
+                    source += '(?:.*/)?';
+                    i += 2;
+                    continue;
+                }
+                if (body[i - 1] === '/' && atEnd) {
+                    // Trailing "/**" matches everything inside
+                    source += '.*';
+                    i += 1;
+                    continue;
+                }
+                source += '.*';
+                i += 1;
+                continue;
+            }
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = body.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                const range = body.substring(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${range}]`;
+                i = end;
+            }
+        } else if (char === '\\' && i + 1 < body.length) {
+            source += body[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            i++;
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+}
+
+export function parseIgnoreLines(lines: string[], source: (lineNumber: number) => string): IgnoreRule[] {
+    const rules: IgnoreRule[] = [];
+    lines.forEach((rawLine, index) => {
+        // Trailing spaces are ignored unless escaped
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) {
+            return;
+        }
+
+        const pattern = line;
+        const negated = line.startsWith('!');
+        if (negated) {
+            line = line.substring(1);
+        } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+            line = line.substring(1);
+        }
+
+        const directoryOnly = line.endsWith('/');
+        if (directoryOnly) {
+            line = line.replace(/\/+$/, '');
+        }
+        if (!line) {
+            return;
+        }
+
+        rules.push({ source: source(index + 1), pattern, negated, directoryOnly, regex: globToRegex(line) });
+    });
+    return rules;
+}
+
+export function loadIgnoreRules(repoPath: string, regexPattern: string, globs: string[]): IgnoreRule[] {
+    const rules: IgnoreRule[] = [];
+
+    if (regexPattern.trim()) {
+        try {
+            rules.push({
+                source: 'ignoredFilesPattern',
+                pattern: regexPattern,
+                negated: false,
+                directoryOnly: false,
+                regex: new RegExp(regexPattern)
+            });
+        } catch {
+            // Invalid patterns are rejected when configured, skip one edited by hand
+        }
+    }
+
+    rules.push(...parseIgnoreLines(globs, () => 'ignoredFileGlobs'));
+
+    // The ignore file comes last so it can re-include files with "!"
+    try {
+        const content = fs.readFileSync(path.join(repoPath, MILESTONE_IGNORE_FILE), 'utf8');
+        rules.push(...parseIgnoreLines(content.split(/\r?\n/), line => `${MILESTONE_IGNORE_FILE}:${line}`));
+    } catch {
+        // No ignore file
+    }
+
+    return rules;
+}
+
+// Returns the rule that decides the file is ignored, or undefined when it is included.
+// Like gitignore the last matching rule wins, and a rule matching a parent directory covers its files
+export function findIgnoreRule(filePath: string, rules: IgnoreRule[]): IgnoreRule | undefined {
+    const normalized = filePath.replace(/\\/g, '/');
+    const segments = normalized.split('/');
+    const directories: string[] = [];
+    for (let i = 1; i < segments.length; i++) {
+        directories.push(segments.slice(0, i).join('/'));
+    }
+
+    let decision: IgnoreRule | undefined;
+    for (const rule of rules) {
+        if (rule.source === 'ignoredFilesPattern') {
+            // The legacy regex is tested against the whole path, as before
+            if (rule.regex.test(normalized)) {
+                decision = rule;
+            }
+            continue;
+        }
+
+        const matches = (!rule.directoryOnly && rule.regex.test(normalized)) ||
+            directories.some(directory => rule.regex.test(directory));
+        if (matches) {
+            decision = rule.negated ? undefined : rule;
+        }
+    }
+    return decision;
+}
@@ -0,0 +1,839 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { git } from './git';
+import { IgnoreRule, findIgnoreRule } from './ignoreRules';
+
+// Milestone logic shared by the extension and the command line tool, so both write the same
+// commits and list the same milestones. Nothing in here may depend on the vscode module
+
+// Well-known hash of git's empty tree, used as the "before" side of root commits
+export const EMPTY_TREE_HASH = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+// Pre-revert snapshots live under this private ref namespace
+export const BACKUP_REF_PREFIX = 'refs/milestone-backups/';
+// Checkpoints live under this namespace, one folder per branch: refs/milestones/<branch>/<timestamp>
+export const CHECKPOINT_REF_PREFIX = 'refs/milestones/';
+export const REMOTE_TIMEOUT = 15000;
+// Milestones carry a Milestone-Title trailer; older ones only have the fixed "feat: ... saved as milestone" subject
+export const MILESTONE_GREP = ['--grep=^feat:.*saved as milestone', '--grep=^Milestone-Title: '];
+// Records are prefixed with %x1e and fields separated by %x1f since the body spans lines
+export const MILESTONE_LOG_FORMAT = '--pretty=format:%x1e%H%x1f%s%x1f%ad%x1f%ai%x1f%an%x1f%b';
+
+export const DEFAULT_BASE_BRANCHES = ['master', 'main'];
+export const DEFAULT_IGNORED_FILES_PATTERN = '\\.(log|tmp)$|appsettings\\..*\\.json$';
+export const DEFAULT_COMMIT_MESSAGE_TEMPLATE = 'feat: {title} saved as milestone';
+
+export type PushMode = 'always' | 'never' | 'ask';
+// commits: milestones are commits on the branch. checkpoints: snapshots under CHECKPOINT_REF_PREFIX
+export type StorageMode = 'commits' | 'checkpoints';
+
+export interface Milestone {
+    hash: string;
+    message: string;
+    date: string;
+    time: string;
+    // Milliseconds since the epoch, for comparing across time zones
+    timestamp: number;
+    author?: string;
+    description?: string;
+    labels?: string[];
+    group?: string;
+    // Trigger that created an automatic milestone
+    auto?: string;
+    // Ref of a checkpoint, which is not part of the branch history
+    checkpoint?: string;
+    verification?: MilestoneVerification;
+}
+
+// Result of the verification command or task run before the milestone was created
+export interface MilestoneVerification {
+    passed: boolean;
+    // Milliseconds
+    duration: number;
+}
+
+export interface MilestoneDetails {
+    title: string;
+    description: string;
+    labels: string[];
+    auto?: string;
+    verification?: MilestoneVerification;
+}
+
+export interface ChangedFile {
+    status: string;
+    path: string;
+}
+
+// Changes of the working tree since a milestone. files includes untracked files, whose lines are not counted
+export interface WorkingTreeChanges {
+    files: number;
+    insertions: number;
+    deletions: number;
+}
+
+// Milestones found on another local or remote-tracking branch, see listBranchMilestones
+export interface BranchMilestones {
+    // "spike" for local branches, "origin/spike" for remote-tracking ones
+    branch: string;
+    remote: boolean;
+    milestones: Milestone[];
+}
+
+export interface FinalizeGroup {
+    milestones: Milestone[];
+    // Last commit whose tree the group's commit takes
+    end: string;
+}
+
+export interface ResolvedBase {
+    ref?: string;
+    commit?: string;
+    source: 'configured' | 'upstream' | 'merge-base' | 'remote HEAD' | 'none';
+}
+
+// The "milestone-manager.*" settings that decide which commits are written and listed
+export interface MilestoneSettings {
+    additionalBaseBranches: string;
+    ignoredFilesPattern: string;
+    ignoredFileGlobs: string[];
+    commitMessageTemplate: string;
+    baseRef: string;
+    remoteName: string;
+    pushMode: PushMode;
+    scanEnabled: boolean;
+    scanMaxFileSizeKB: number;
+    storage: StorageMode;
+    pushCheckpoints: boolean;
+}
+
+export const DEFAULT_SETTINGS: MilestoneSettings = {
+    additionalBaseBranches: '',
+    ignoredFilesPattern: DEFAULT_IGNORED_FILES_PATTERN,
+    ignoredFileGlobs: [],
+    commitMessageTemplate: DEFAULT_COMMIT_MESSAGE_TEMPLATE,
+    baseRef: '',
+    remoteName: 'origin',
+    pushMode: 'always',
+    scanEnabled: true,
+    scanMaxFileSizeKB: 1024,
+    storage: 'commits',
+    pushCheckpoints: false
+};
+
+let log: (...parts: unknown[]) => void = () => undefined;
+
+export function setCoreLogger(logger: (...parts: unknown[]) => void) {
+    log = logger;
+}
+
+// settings.json allows comments and trailing commas
+function parseJsonc(text: string): unknown {
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            result += char;
+            if (char === '\\') {
+                result += text[++i] ?? '';
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+            result += char;
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') {
+                i++;
+            }
+            result += '\n';
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else {
+            result += char;
+        }
+    }
+    return JSON.parse(result.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+// Reads the repository's .vscode/settings.json the way the extension sees its workspace settings.
+// User settings are not available outside VS Code, so anything else falls back to the defaults
+export function readWorkspaceSettings(repoPath: string): MilestoneSettings {
+    let values: Record<string, unknown> = {};
+    try {
+        const parsed = parseJsonc(fs.readFileSync(path.join(repoPath, '.vscode', 'settings.json'), 'utf8'));
+        if (parsed && typeof parsed === 'object') {
+            values = parsed as Record<string, unknown>;
+        }
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+            log('Could not read .vscode/settings.json:', error);
+        }
+    }
+
+    const get = <T>(key: string, fallback: T, valid: (value: unknown) => boolean): T => {
+        const value = values[`milestone-manager.${key}`];
+        return valid(value) ? value as T : fallback;
+    };
+    const isString = (value: unknown) => typeof value === 'string';
+    return {
+        additionalBaseBranches: get('additionalBaseBranches', DEFAULT_SETTINGS.additionalBaseBranches, isString),
+        ignoredFilesPattern: get('ignoredFilesPattern', DEFAULT_SETTINGS.ignoredFilesPattern, isString),
+        ignoredFileGlobs: get('ignoredFileGlobs', DEFAULT_SETTINGS.ignoredFileGlobs,
+            value => Array.isArray(value) && value.every(isString)),
+        commitMessageTemplate: get('commitMessageTemplate', DEFAULT_SETTINGS.commitMessageTemplate, isString),
+        baseRef: get<string>('baseRef', DEFAULT_SETTINGS.baseRef, isString).trim(),
+        remoteName: get<string>('remoteName', DEFAULT_SETTINGS.remoteName, isString).trim() || 'origin',
+        pushMode: get('pushMode', DEFAULT_SETTINGS.pushMode, value => value === 'always' || value === 'never' || value === 'ask'),
+        scanEnabled: get('scan.enabled', DEFAULT_SETTINGS.scanEnabled, value => typeof value === 'boolean'),
+        scanMaxFileSizeKB: get('scan.maxFileSizeKB', DEFAULT_SETTINGS.scanMaxFileSizeKB, value => typeof value === 'number'),
+        storage: get('storage', DEFAULT_SETTINGS.storage, value => value === 'commits' || value === 'checkpoints'),
+        pushCheckpoints: get('checkpoints.push', DEFAULT_SETTINGS.pushCheckpoints, value => typeof value === 'boolean')
+    };
+}
+
+// master and main are always protected, the setting adds branches separated by semicolons
+export function parseBaseBranches(additionalBaseBranches: string): string[] {
+    const configuredBranches = additionalBaseBranches
+        .split(';')
+        .map(branch => branch.trim())
+        .filter(branch => branch.length > 0);
+    return [...DEFAULT_BASE_BRANCHES, ...configuredBranches];
+}
+
+// A protected branch entry is a name, a glob (release/*, hotfix-*, where * stops at slashes and
+// ** does not) or a regular expression between slashes (/^v\d+$/). All of them ignore case
+export function branchPatternToRegExp(pattern: string): RegExp | undefined {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        try {
+            return new RegExp(regex[1], regex[2].includes('i') ? regex[2] : `${regex[2]}i`);
+        } catch (error) {
+            log('Ignoring invalid protected branch pattern', pattern, error);
+            return undefined;
+        }
+    }
+
+    const source = pattern
+        .split(/(\*\*|\*|\?)/)
+        .map(part => {
+            switch (part) {
+                case '**': return '.*';
+                case '*': return '[^/]*';
+                case '?': return '[^/]';
+                default: return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// The first protected branch entry matching the branch
+export function findBaseBranchPattern(branch: string, baseBranches: string[]): string | undefined {
+    return baseBranches.find(pattern => branchPatternToRegExp(pattern)?.test(branch));
+}
+
+export function isBaseBranch(branch: string, baseBranches: string[]): boolean {
+    return findBaseBranchPattern(branch, baseBranches) !== undefined;
+}
+
+export type InProgressOperation = 'merge' | 'rebase' | 'cherry-pick' | 'revert';
+
+// Files git keeps in the gitdir while an operation waits for conflicts to be resolved
+const IN_PROGRESS_MARKERS: [string, InProgressOperation][] = [
+    ['rebase-merge', 'rebase'],
+    ['rebase-apply', 'rebase'],
+    ['MERGE_HEAD', 'merge'],
+    ['CHERRY_PICK_HEAD', 'cherry-pick'],
+    ['REVERT_HEAD', 'revert']
+];
+
+export async function getInProgressOperation(repoPath: string): Promise<InProgressOperation | undefined> {
+    // --git-path resolves into the right gitdir for worktrees and submodules too
+    const { stdout } = await git(
+        ['rev-parse', ...IN_PROGRESS_MARKERS.flatMap(([marker]) => ['--git-path', marker])],
+        { cwd: repoPath }
+    );
+    const markerPaths = stdout.split('\n').map(line => line.trim()).filter(line => line);
+    const index = markerPaths.findIndex(markerPath => fs.existsSync(path.resolve(repoPath, markerPath)));
+    return index === -1 ? undefined : IN_PROGRESS_MARKERS[index][1];
+}
+
+// Thrown when the state of the repository does not allow an operation. The message says what to do instead
+export class BranchPolicyError extends Error {}
+
+// Checks that action (e.g. "create a milestone") may change the current branch: no merge, rebase,
+// cherry-pick or revert waiting for conflicts, a branch checked out and, unless allowProtected,
+// not a protected one. Returns the branch
+export async function checkBranchPolicy(
+    repoPath: string,
+    baseBranches: string[],
+    action: string,
+    allowProtected = false
+): Promise<string> {
+    const operation = await getInProgressOperation(repoPath);
+    if (operation) {
+        throw new BranchPolicyError(
+            `Cannot ${action} while a ${operation} is in progress. Resolve the conflicts and run "git ${operation} --continue", or cancel it with "git ${operation} --abort".`
+        );
+    }
+
+    const branch = await getBranchName(repoPath);
+    if (!branch) {
+        throw new BranchPolicyError(
+            `Cannot ${action} in detached HEAD state. Check out a branch, or create one here with "git switch -c <name>".`
+        );
+    }
+
+    const pattern = allowProtected ? undefined : findBaseBranchPattern(branch, baseBranches);
+    if (pattern) {
+        throw new BranchPolicyError(
+            `Cannot ${action} on protected branch '${branch}'${pattern === branch ? '' : ` (matches '${pattern}')`}. Switch to a feature branch first, e.g. with "git switch -c <name>".`
+        );
+    }
+    return branch;
+}
+
+// Push argument that only overwrites the remote branch while it is still at expectedTip, so pushes
+// made by others in the meantime are never lost. An empty expectedTip requires the branch to be absent
+export function forceWithLeaseArg(branch: string, expectedTip: string): string {
+    return `--force-with-lease=refs/heads/${branch}:${expectedTip}`;
+}
+
+export function buildMilestoneMessage(details: MilestoneDetails, template: string, group?: string): string {
+    const title = details.title || 'No note provided';
+    // Function replacers, so a $& or $' in a note or label is not taken as a replacement pattern
+    const subject = template
+        .replace(/\{title\}/g, () => title)
+        .replace(/\{labels\}/g, () => details.labels.join(', '));
+
+    // The title trailer marks the commit as a milestone whatever the subject template is
+    const trailers = [
+        `Milestone-Title: ${title}`,
+        ...details.labels.map(label => `Milestone-Label: ${label}`),
+        ...(group ? [`Milestone-Group: ${group}`] : []),
+        ...(details.auto ? [`Milestone-Auto: ${details.auto}`] : []),
+        ...(details.verification ? [`Milestone-Verified: ${formatVerification(details.verification)}`] : [])
+    ];
+
+    return [subject, details.description, trailers.join('\n')]
+        .filter(paragraph => paragraph)
+        .join('\n\n') + '\n';
+}
+
+// "passed in 12.3s" or "failed in 4.0s", the value of the Milestone-Verified trailer
+export function formatVerification(verification: MilestoneVerification): string {
+    return `${verification.passed ? 'passed' : 'failed'} in ${(verification.duration / 1000).toFixed(1)}s`;
+}
+
+export function parseVerification(value: string | undefined): MilestoneVerification | undefined {
+    const match = value ? /^(passed|failed)(?: in (\d+(?:\.\d+)?)s)?/.exec(value) : null;
+    return match ? { passed: match[1] === 'passed', duration: Math.round(Number(match[2] ?? 0) * 1000) } : undefined;
+}
+
+export function parseMilestoneRecord(record: string): Milestone {
+    const [hash, subject, date, datetime, author, body] = record.split('\x1f');
+    // Extract time from datetime (format: YYYY-MM-DD HH:MM:SS +TIMEZONE)
+    const time = datetime.split(' ')[1];
+
+    // Trailers are the "Key: value" lines of the last paragraph of the body
+    const paragraphs = (body || '').trim().split(/\n\s*\n/);
+    const lastParagraph = paragraphs[paragraphs.length - 1] || '';
+    const trailerLines = lastParagraph.split('\n');
+    const hasTrailers = trailerLines.every(line => /^[A-Za-z0-9-]+: /.test(line));
+    const trailers = hasTrailers ? trailerLines : [];
+    const trailerValues = (key: string) => trailers
+        .filter(line => line.startsWith(`${key}: `))
+        .map(line => line.substring(key.length + 2).trim());
+
+    const title = trailerValues('Milestone-Title')[0]
+        // Legacy milestones: remove "feat: " prefix and " saved as milestone" suffix
+        ?? subject.replace(/^feat:\s*/, '').replace(/\s*saved as milestone$/, '');
+
+    return {
+        hash,
+        message: title,
+        date,
+        time,
+        // "2024-05-01 14:03:12 +0200" is not a format Date.parse has to understand
+        timestamp: Date.parse(datetime.replace(/^(\S+) (\S+) ([+-]\d\d)(\d\d)$/, '$1T$2$3:$4')),
+        author,
+        description: (hasTrailers ? paragraphs.slice(0, -1) : paragraphs).join('\n\n').trim() || undefined,
+        labels: trailerValues('Milestone-Label'),
+        group: trailerValues('Milestone-Group')[0],
+        auto: trailerValues('Milestone-Auto')[0],
+        verification: parseVerification(trailerValues('Milestone-Verified')[0])
+    };
+}
+
+export async function isGitRepository(repoPath: string): Promise<boolean> {
+    try {
+        await git(['rev-parse', '--is-inside-work-tree'], { cwd: repoPath });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export async function getBranchName(repoPath: string): Promise<string | null> {
+    try {
+        const { stdout: branchName } = await git(['symbolic-ref', '--short', 'HEAD'], { cwd: repoPath });
+        return branchName.trim();
+    } catch {
+        return null;
+    }
+}
+
+// Finds where the current branch started, trying the most explicit sources first
+export async function detectBaseRef(repoPath: string, settings: MilestoneSettings): Promise<ResolvedBase> {
+    const verify = async (ref: string): Promise<string | undefined> => {
+        try {
+            const { stdout } = await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { cwd: repoPath });
+            return stdout.trim() || undefined;
+        } catch {
+            return undefined;
+        }
+    };
+
+    // 1. Explicitly configured base
+    if (settings.baseRef) {
+        const commit = await verify(settings.baseRef);
+        if (commit) {
+            return { ref: settings.baseRef, commit, source: 'configured' };
+        }
+        log('Configured base ref does not resolve:', settings.baseRef);
+    }
+
+    const branch = await getBranchName(repoPath);
+
+    // 2. Upstream, when the branch tracks a different branch (e.g. cut from origin/develop)
+    try {
+        const { stdout } = await git(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}'], { cwd: repoPath });
+        const upstream = stdout.trim();
+        if (upstream && branch && upstream.substring(upstream.indexOf('/') + 1) !== branch) {
+            const commit = await verify(upstream);
+            if (commit) {
+                return { ref: upstream, commit, source: 'upstream' };
+            }
+        }
+    } catch {
+        // No upstream configured
+    }
+
+    // 3. Merge-base with the nearest protected branch. Patterns are matched against the existing
+    // branches, the remote's first so they win ties
+    const remote = settings.remoteName;
+    const baseBranches = parseBaseBranches(settings.additionalBaseBranches);
+    const remotePrefix = `refs/remotes/${remote}/`;
+    const { stdout: refs } = await git(
+        ['for-each-ref', '--format=%(refname)', remotePrefix, 'refs/heads/'],
+        { cwd: repoPath }
+    ).catch(() => ({ stdout: '' }));
+    const candidates = refs.split('\n')
+        .map(ref => ref.trim())
+        .filter(ref => ref)
+        .map(ref => ref.startsWith(remotePrefix)
+            ? { name: ref.substring(remotePrefix.length), candidate: `${remote}/${ref.substring(remotePrefix.length)}` }
+            : { name: ref.substring('refs/heads/'.length), candidate: ref.substring('refs/heads/'.length) })
+        .filter(({ name }) => name !== 'HEAD' && isBaseBranch(name, baseBranches) &&
+            !(branch && name.toLowerCase() === branch.toLowerCase()))
+        .sort((a, b) => Number(!a.candidate.startsWith(`${remote}/`)) - Number(!b.candidate.startsWith(`${remote}/`)));
+
+    let nearest: { ref: string; commit: string; distance: number } | undefined;
+    for (const { candidate } of candidates) {
+        try {
+            const { stdout: mergeBase } = await git(['merge-base', 'HEAD', candidate], { cwd: repoPath });
+            const commit = mergeBase.trim();
+            const { stdout: count } = await git(['rev-list', '--count', `${commit}..HEAD`], { cwd: repoPath });
+            const distance = parseInt(count.trim(), 10);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { ref: candidate, commit, distance };
+            }
+        } catch {
+            // Unrelated histories
+        }
+    }
+    if (nearest) {
+        return { ref: nearest.ref, commit: nearest.commit, source: 'merge-base' };
+    }
+
+    // 4. The remote's default branch
+    const remoteHead = await verify(`${remote}/HEAD`);
+    if (remoteHead) {
+        return { ref: `${remote}/HEAD`, commit: remoteHead, source: 'remote HEAD' };
+    }
+
+    return { source: 'none' };
+}
+
+// Without a base every milestone reachable from HEAD belongs to the branch
+export function getMilestoneRange(base: ResolvedBase): string {
+    return base.commit ? `${base.commit}..HEAD` : 'HEAD';
+}
+
+// Milestones in the range, newest first
+export async function listMilestones(repoPath: string, range: string, limit?: number): Promise<Milestone[]> {
+    const { stdout } = await git(
+        [
+            'log', range, MILESTONE_LOG_FORMAT, '--date=short',
+            ...MILESTONE_GREP, ...(limit ? ['-n', String(limit)] : [])
+        ],
+        { cwd: repoPath }
+    );
+
+    return stdout
+        .split('\x1e')
+        .map(record => record.trim())
+        .filter(record => record)
+        .map(record => parseMilestoneRecord(record));
+}
+
+// Milestones of the other branches that are not on HEAD, grouped by branch, newest first. Each
+// milestone is listed once: under a local branch when it is on one, otherwise under the remote-tracking
+// branch it was found through. limit applies to local and remote-tracking branches separately
+export async function listBranchMilestones(repoPath: string, limit: number): Promise<BranchMilestones[]> {
+    // %S is the ref a commit was reached from, in front of the usual milestone fields
+    const format = MILESTONE_LOG_FORMAT.replace('%x1e', '%x1e%S%x1f');
+    const scopes: [boolean, string[]][] = [
+        [false, ['--branches', '--not', 'HEAD']],
+        // refs/remotes/origin/HEAD only points at another remote-tracking branch
+        [true, ['--exclude=*/HEAD', '--remotes', '--not', '--branches', 'HEAD']]
+    ];
+
+    const groups: BranchMilestones[] = [];
+    for (const [remote, revisions] of scopes) {
+        const { stdout } = await git(
+            ['log', '--source', format, '--date=short', ...MILESTONE_GREP, '-n', String(limit), ...revisions],
+            { cwd: repoPath }
+        );
+        const prefix = remote ? 'refs/remotes/' : 'refs/heads/';
+        for (const record of stdout.split('\x1e').map(entry => entry.trim()).filter(entry => entry)) {
+            const separator = record.indexOf('\x1f');
+            const source = record.substring(0, separator);
+            const branch = source.startsWith(prefix) ? source.substring(prefix.length) : source;
+            let group = groups.find(candidate => candidate.remote === remote && candidate.branch === branch);
+            if (!group) {
+                group = { branch, remote, milestones: [] };
+                groups.push(group);
+            }
+            group.milestones.push(parseMilestoneRecord(record.substring(separator + 1)));
+        }
+    }
+    return groups;
+}
+
+export async function getMilestone(repoPath: string, hash: string): Promise<Milestone> {
+    const { stdout } = await git(['log', '-1', MILESTONE_LOG_FORMAT, '--date=short', hash], { cwd: repoPath });
+    return parseMilestoneRecord(stdout.replace(/^\x1e/, '').trim());
+}
+
+export function parseNameStatus(stdout: string): ChangedFile[] {
+    // -z output alternates status and path: "M\0src/a.ts\0A\0src/b.ts\0"
+    const parts = stdout.split('\0').filter(part => part);
+    const files: ChangedFile[] = [];
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+        files.push({ status: parts[i].charAt(0), path: parts[i + 1] });
+    }
+    return files;
+}
+
+export async function getChangedFiles(repoPath: string, fromRef: string, toRef?: string): Promise<ChangedFile[]> {
+    // Without a target ref git compares against the working tree
+    const { stdout } = await git(
+        ['diff', '--name-status', '--no-renames', '-z', fromRef, ...(toRef ? [toRef] : [])],
+        { cwd: repoPath }
+    );
+    return parseNameStatus(stdout);
+}
+
+export async function getWorkingTreeChanges(repoPath: string, ref: string): Promise<WorkingTreeChanges> {
+    // "3 files changed, 10 insertions(+), 2 deletions(-)", parts without changes are left out
+    const { stdout } = await git(['diff', '--shortstat', ref], { cwd: repoPath });
+    const count = (pattern: RegExp) => Number(pattern.exec(stdout)?.[1] ?? 0);
+    const { stdout: untracked } = await git(['ls-files', '--others', '--exclude-standard', '-z'], { cwd: repoPath });
+    return {
+        files: count(/(\d+) files? changed/) + untracked.split('\0').filter(file => file).length,
+        insertions: count(/(\d+) insertions?\(\+\)/),
+        deletions: count(/(\d+) deletions?\(-\)/)
+    };
+}
+
+// env selects another index through GIT_INDEX_FILE, see withWorkingTreeIndex
+export async function getStagedFiles(repoPath: string, env?: NodeJS.ProcessEnv): Promise<ChangedFile[]> {
+    const { stdout } = await git(['diff', '--cached', '--name-status', '--no-renames', '-z'], { cwd: repoPath, env });
+    return parseNameStatus(stdout);
+}
+
+export async function getParentRef(repoPath: string, hash: string): Promise<string> {
+    try {
+        await git(['rev-parse', '--verify', '--quiet', `${hash}^`], { cwd: repoPath });
+        return `${hash}^`;
+    } catch {
+        // Root commit - compare against the empty tree
+        return EMPTY_TREE_HASH;
+    }
+}
+
+// Commits whatever is staged as a milestone. The message goes through stdin since it spans several lines.
+// amend folds the staged changes into the milestone at HEAD instead, dated now like a new milestone
+export async function commitMilestoneMessage(repoPath: string, message: string, signal?: AbortSignal, amend = false) {
+    await git(
+        ['commit', '--allow-empty', '--cleanup=whitespace', ...(amend ? ['--amend', '--date=now'] : []), '-F', '-'],
+        { cwd: repoPath, input: message, signal }
+    );
+}
+
+// Recreates the commits on top of parent with their original trees, messages and authors.
+// Trees are snapshots, so the changes of a commit left out end up in the next replayed commit.
+// Returns the new tip
+export async function replayCommits(repoPath: string, parent: string, commits: string[], messages?: Map<string, string>): Promise<string> {
+    for (const commit of commits) {
+        const { stdout: info } = await git(['log', '-1', '--format=%an%x1f%ae%x1f%aI%x1f%B', commit], { cwd: repoPath });
+        const [authorName, authorEmail, authorDate, message] = info.split('\x1f');
+        const env = { GIT_AUTHOR_NAME: authorName, GIT_AUTHOR_EMAIL: authorEmail, GIT_AUTHOR_DATE: authorDate };
+        const { stdout } = await git(
+            ['commit-tree', `${commit}^{tree}`, '-p', parent, '-F', '-'],
+            { cwd: repoPath, env, input: messages?.get(commit) ?? message }
+        );
+        parent = stdout.trim();
+    }
+    return parent;
+}
+
+// Splits the milestones (oldest first) into consecutive groups that each become one commit.
+// A group ends after each boundary milestone; commits after the last milestone join the last group
+export function groupMilestones(milestones: Milestone[], boundaries: Set<string>): FinalizeGroup[] {
+    const groups: FinalizeGroup[] = [];
+    let current: Milestone[] = [];
+    for (const milestone of milestones.slice(0, -1)) {
+        current.push(milestone);
+        if (boundaries.has(milestone.hash)) {
+            groups.push({ milestones: current, end: milestone.hash });
+            current = [];
+        }
+    }
+    current.push(...milestones.slice(-1));
+    groups.push({ milestones: current, end: 'HEAD' });
+    return groups;
+}
+
+export function buildFinalizeMessage(subject: string, group: FinalizeGroup): string {
+    const body = group.milestones.map(milestone => `- ${milestone.message}`).join('\n');
+    return `${subject.trim()}\n\n${body}\n`;
+}
+
+// Rebuilds the branch from the base: each new commit takes the tree of its group's last commit.
+// Returns the new tip, the caller moves the branch
+export async function writeFinalizedCommits(repoPath: string, baseCommit: string, groups: FinalizeGroup[], messages: string[]): Promise<string> {
+    let parent = baseCommit;
+    for (let i = 0; i < groups.length; i++) {
+        const { stdout } = await git(
+            ['commit-tree', `${groups[i].end}^{tree}`, '-p', parent, '-F', '-'],
+            { cwd: repoPath, input: messages[i] }
+        );
+        parent = stdout.trim();
+    }
+    return parent;
+}
+
+export async function getRemoteTip(repoPath: string, remote: string, branch: string): Promise<string | undefined> {
+    try {
+        // Ask the remote directly so the recorded tip is not a stale remote-tracking ref
+        const { stdout } = await git(
+            ['ls-remote', remote, `refs/heads/${branch}`],
+            { cwd: repoPath, timeout: REMOTE_TIMEOUT }
+        );
+        if (stdout.trim()) {
+            return stdout.trim().split(/\s+/)[0];
+        }
+    } catch (error) {
+        log('Could not query remote tip, falling back to remote-tracking ref:', error);
+    }
+
+    try {
+        const { stdout } = await git(['rev-parse', '--verify', '--quiet', `refs/remotes/${remote}/${branch}`], { cwd: repoPath });
+        return stdout.trim() || undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+// Saves HEAD, the index and the working tree (including untracked files) under BACKUP_REF_PREFIX,
+// together with the branch's tip on the remote
+export async function createBackup(repoPath: string, remote: string, branch: string, reason: string): Promise<{ ref: string; remoteTip?: string }> {
+    const { stdout: headOutput } = await git(['rev-parse', 'HEAD'], { cwd: repoPath });
+    const head = headOutput.trim();
+
+    // Snapshot the index as-is
+    const { stdout: indexTreeOutput } = await git(['write-tree'], { cwd: repoPath });
+    const { stdout: indexCommitOutput } = await git(
+        ['commit-tree', indexTreeOutput.trim(), '-p', head, '-m', 'Milestone Manager index snapshot'],
+        { cwd: repoPath }
+    );
+    const indexCommit = indexCommitOutput.trim();
+
+    // Snapshot the working tree, including untracked files, through a throwaway index
+    // so the real index is left untouched
+    const tempIndex = path.join(os.tmpdir(), `milestone-backup-${process.pid}-${Date.now()}.index`);
+    const env = { GIT_INDEX_FILE: tempIndex };
+    let workTree: string;
+    try {
+        await git(['read-tree', head], { cwd: repoPath, env });
+        await git(['add', '-A'], { cwd: repoPath, env });
+        const { stdout: workTreeOutput } = await git(['write-tree'], { cwd: repoPath, env });
+        workTree = workTreeOutput.trim();
+    } finally {
+        fs.rmSync(tempIndex, { force: true });
+    }
+
+    const remoteTip = await getRemoteTip(repoPath, remote, branch);
+    const message = [
+        `Backup before ${reason}`,
+        '',
+        `Backup-Branch: ${branch}`,
+        ...(remoteTip ? [`Backup-Remote-Tip: ${remoteTip}`] : [])
+    ].join('\n');
+
+    // Same layout as git stash: first parent is HEAD, second parent holds the index
+    const { stdout: backupOutput } = await git(
+        ['commit-tree', workTree, '-p', head, '-p', indexCommit, '-F', '-'],
+        { cwd: repoPath, input: message }
+    );
+
+    const ref = `${BACKUP_REF_PREFIX}${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    await git(['update-ref', ref, backupOutput.trim()], { cwd: repoPath });
+    log('Created backup', ref, 'in', repoPath);
+    return { ref, remoteTip };
+}
+
+export function getCheckpointRefPrefix(branch: string): string {
+    return `${CHECKPOINT_REF_PREFIX}${branch}/`;
+}
+
+// Stages the whole working tree, the same way a milestone does, into a throwaway index seeded from
+// HEAD. fn gets the environment that points git at it, so HEAD and the real index stay untouched
+export async function withWorkingTreeIndex<T>(repoPath: string, fn: (env: NodeJS.ProcessEnv) => Promise<T>): Promise<T> {
+    const tempIndex = path.join(os.tmpdir(), `milestone-checkpoint-${process.pid}-${Date.now()}.index`);
+    const env = { GIT_INDEX_FILE: tempIndex };
+    try {
+        // Unborn branches have no HEAD to start from, the new index is empty then
+        if (await git(['rev-parse', '--verify', '--quiet', 'HEAD'], { cwd: repoPath }).then(() => true, () => false)) {
+            await git(['read-tree', 'HEAD'], { cwd: repoPath, env });
+        }
+        await git(['add', '.'], { cwd: repoPath, env });
+        return await fn(env);
+    } finally {
+        fs.rmSync(tempIndex, { force: true });
+    }
+}
+
+// Unstages the staged files an ignore rule keeps out of milestones and returns them
+export async function unstageIgnoredFiles(
+    repoPath: string,
+    rules: IgnoreRule[],
+    env?: NodeJS.ProcessEnv
+): Promise<{ path: string; rule: IgnoreRule }[]> {
+    const ignored: { path: string; rule: IgnoreRule }[] = [];
+    for (const file of await getStagedFiles(repoPath, env)) {
+        const rule = findIgnoreRule(file.path, rules);
+        if (rule) {
+            ignored.push({ path: file.path, rule });
+        }
+    }
+    await unstageFiles(repoPath, ignored.map(file => file.path), env);
+    return ignored;
+}
+
+// Unstages the files in one git call. The paths go through stdin as literal pathspecs,
+// so names with *, ? or [ do not match other files
+export async function unstageFiles(repoPath: string, paths: string[], env?: NodeJS.ProcessEnv) {
+    if (paths.length === 0) {
+        return;
+    }
+    await git(
+        ['reset', '-q', '--pathspec-from-file=-', '--pathspec-file-nul'],
+        { cwd: repoPath, env: { ...env, GIT_LITERAL_PATHSPECS: '1' }, input: paths.join('\0') }
+    );
+}
+
+// Tree of the working tree as a milestone would commit it, without ignored files
+export async function snapshotWorkingTree(repoPath: string, rules: IgnoreRule[]): Promise<string> {
+    return withWorkingTreeIndex(repoPath, async env => {
+        await unstageIgnoredFiles(repoPath, rules, env);
+        const { stdout } = await git(['write-tree'], { cwd: repoPath, env });
+        return stdout.trim();
+    });
+}
+
+// Stores a snapshot tree as a checkpoint of the branch. The commit's parent is HEAD so it diffs
+// like a milestone, but no branch points at it. Returns the new ref and commit
+export async function writeCheckpoint(
+    repoPath: string,
+    branch: string,
+    tree: string,
+    message: string
+): Promise<{ ref: string; hash: string }> {
+    const parents = await git(['rev-parse', '--verify', '--quiet', 'HEAD'], { cwd: repoPath })
+        .then(({ stdout }) => ['-p', stdout.trim()], () => []);
+    const { stdout } = await git(['commit-tree', tree, ...parents, '-F', '-'], { cwd: repoPath, input: message });
+    const hash = stdout.trim();
+
+    const ref = `${getCheckpointRefPrefix(branch)}${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    await git(['update-ref', ref, hash, ''], { cwd: repoPath });
+    log('Created checkpoint', ref, 'in', repoPath);
+    return { ref, hash };
+}
+
+// Checkpoints of the branch, newest first
+export async function listCheckpoints(repoPath: string, branch: string): Promise<Milestone[]> {
+    const prefix = getCheckpointRefPrefix(branch);
+    // Same fields as MILESTONE_LOG_FORMAT, preceded by the ref name. The last sort key is the primary
+    // one; ref names are timestamps with milliseconds and order checkpoints saved within one second
+    const { stdout } = await git(
+        [
+            'for-each-ref', '--sort=-refname', '--sort=-creatordate',
+            '--format=%1e%(refname)%1f%(objectname)%1f%(subject)%1f%(authordate:short)%1f%(authordate:iso)%1f%(authorname)%1f%(contents:body)',
+            prefix
+        ],
+        { cwd: repoPath }
+    );
+
+    return stdout
+        .split('\x1e')
+        .map(record => record.trim())
+        .filter(record => record)
+        .map(record => {
+            const separator = record.indexOf('\x1f');
+            return { ref: record.substring(0, separator), record: record.substring(separator + 1) };
+        })
+        // Branch names may contain slashes, so skip checkpoints of branches nested below this one
+        .filter(({ ref }) => !ref.substring(prefix.length).includes('/'))
+        .map(({ ref, record }) => ({ ...parseMilestoneRecord(record), checkpoint: ref }));
+}
+
+// Pushes the branch's checkpoints to the same namespace on the remote. Checkpoints never change,
+// so no force is needed and earlier ones that failed to push go along
+export async function pushCheckpoints(repoPath: string, remote: string, branch: string, signal?: AbortSignal) {
+    const refspec = `${getCheckpointRefPrefix(branch)}*`;
+    await git(['push', remote, `${refspec}:${refspec}`], { cwd: repoPath, timeout: REMOTE_TIMEOUT, signal });
+}
+
+// Brings the given files back to their state in the checkpoint, in the working tree only:
+// the branch, HEAD and the index stay as they are. files is the diff from the current snapshot to
+// the checkpoint, so deleted files are the ones the checkpoint did not have
+export async function restoreCheckpointFiles(repoPath: string, hash: string, files: ChangedFile[]) {
+    for (const file of files.filter(file => file.status === 'D')) {
+        fs.rmSync(path.join(repoPath, file.path), { force: true });
+    }
+
+    const restored = files.filter(file => file.status !== 'D').map(file => file.path);
+    if (restored.length > 0) {
+        // Literal pathspecs, so names with *, ? or [ do not restore other files too
+        await git(
+            ['restore', `--source=${hash}`, '--worktree', '--pathspec-from-file=-', '--pathspec-file-nul'],
+            { cwd: repoPath, env: { GIT_LITERAL_PATHSPECS: '1' }, input: restored.join('\0') }
+        );
+    }
+}
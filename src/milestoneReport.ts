@@ -0,0 +1,117 @@
+// Formats milestones as Markdown, JSON or a CHANGELOG section for pull request descriptions and standup notes
+
+export interface ReportFile {
+    // git status letter: A, M, D, ...
+    status: string;
+    path: string;
+}
+
+export interface ReportMilestone {
+    hash: string;
+    title: string;
+    description?: string;
+    labels: string[];
+    date: string;
+    time: string;
+    author?: string;
+    auto?: string;
+    filesChanged: number;
+    insertions: number;
+    deletions: number;
+    files: ReportFile[];
+}
+
+export interface MilestoneReport {
+    repository: string;
+    branch: string | null;
+    // Human readable description of the exported range, e.g. "All milestones on feature/login"
+    scope: string;
+    generatedAt: string;
+    // Oldest first, the order the work happened in
+    milestones: ReportMilestone[];
+}
+
+export const CHANGELOG_FILE = 'CHANGELOG.md';
+
+const STATUS_NAMES: Record<string, string> = {
+    A: 'added',
+    M: 'modified',
+    D: 'deleted',
+    T: 'type changed'
+};
+
+function diffStat(milestone: ReportMilestone): string {
+    return `${milestone.filesChanged} file${milestone.filesChanged === 1 ? '' : 's'} changed, ` +
+        `+${milestone.insertions} -${milestone.deletions}`;
+}
+
+function totals(milestones: ReportMilestone[]) {
+    const files = new Set(milestones.flatMap(milestone => milestone.files.map(file => file.path)));
+    return {
+        files: files.size,
+        insertions: milestones.reduce((sum, milestone) => sum + milestone.insertions, 0),
+        deletions: milestones.reduce((sum, milestone) => sum + milestone.deletions, 0)
+    };
+}
+
+// Backticks in paths would end the inline code span
+function code(text: string): string {
+    return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+export function formatMarkdownReport(report: MilestoneReport): string {
+    const lines = [`## Milestones${report.branch ? ` on ${report.branch}` : ''}`, ''];
+    const sum = totals(report.milestones);
+    lines.push(
+        `${report.scope}: ${report.milestones.length} milestone${report.milestones.length === 1 ? '' : 's'}, ` +
+        `${sum.files} file${sum.files === 1 ? '' : 's'} touched, +${sum.insertions} -${sum.deletions}`,
+        ''
+    );
+
+    for (const milestone of report.milestones) {
+        const labels = milestone.labels.map(label => code(label)).join(' ');
+        lines.push(`### ${milestone.title || 'No note provided'}${labels ? ` ${labels}` : ''}`, '');
+        lines.push(`${milestone.date} ${milestone.time} · ${code(milestone.hash.substring(0, 7))} · ${diffStat(milestone)}`, '');
+        if (milestone.description) {
+            lines.push(milestone.description, '');
+        }
+        if (milestone.files.length > 0) {
+            lines.push(...milestone.files.map(file => `- ${code(file.path)} (${STATUS_NAMES[file.status] ?? file.status})`), '');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+export function formatJsonReport(report: MilestoneReport): string {
+    return JSON.stringify(report, null, 4) + '\n';
+}
+
+// One bullet per milestone, for a changelog entry
+export function formatChangelogSection(report: MilestoneReport): string {
+    const heading = `## ${report.branch ?? 'Milestones'} - ${report.generatedAt.substring(0, 10)}`;
+    const bullets = report.milestones.map(milestone => {
+        const labels = milestone.labels.length ? ` [${milestone.labels.join(', ')}]` : '';
+        return `- ${milestone.title || 'No note provided'}${labels} (${milestone.hash.substring(0, 7)})`;
+    });
+    return [heading, '', ...bullets, ''].join('\n');
+}
+
+// Newest entries go on top: before the first "## " section, after the title and introduction.
+// The changelog keeps its line endings, the section is converted to them
+export function insertChangelogSection(changelog: string, section: string): string {
+    if (!changelog.trim()) {
+        return `# Changelog\n\n${section}`;
+    }
+
+    const eol = changelog.includes('\r\n') ? '\r\n' : '\n';
+    const entry = section.replace(/\r?\n/g, eol);
+    const lines = changelog.split(/\r?\n/);
+    const firstSection = lines.findIndex(line => line.startsWith('## '));
+    if (firstSection === -1) {
+        return `${changelog.replace(/\s*$/, '')}${eol}${eol}${entry}`;
+    }
+    const before = lines.slice(0, firstSection).join(eol).replace(/\s*$/, '');
+    const after = lines.slice(firstSection).join(eol);
+    return `${before ? `${before}${eol}${eol}` : ''}${entry}${eol}${after}`;
+}
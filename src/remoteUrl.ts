@@ -0,0 +1,31 @@
+// Turns a git remote URL into the web page of a commit on GitHub, GitLab or Azure DevOps
+export function getCommitWebUrl(remoteUrl: string, hash: string): string | undefined {
+    const url = remoteUrl.trim();
+
+    // Azure DevOps over SSH: git@ssh.dev.azure.com:v3/org/project/repo
+    const azureSsh = url.match(/^(?:ssh:\/\/)?[^@]+@(?:ssh\.dev\.azure\.com|vs-ssh\.visualstudio\.com)[:/]v3\/([^/]+)\/([^/]+)\/([^/]+?)\/?$/);
+    if (azureSsh) {
+        const [, organization, project, repository] = azureSsh;
+        return `https://dev.azure.com/${organization}/${project}/_git/${repository}/commit/${hash}`;
+    }
+
+    // Everything else is normalized to host and path: git@host:path, ssh://git@host/path or https://user@host/path
+    const match = url.match(/^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+)?[:/](.+?)(?:\.git)?\/?$/i);
+    if (!match) {
+        return undefined;
+    }
+    const host = match[1].toLowerCase();
+    const repositoryPath = match[2].replace(/^\/+/, '');
+
+    if (host === 'dev.azure.com' || host.endsWith('.visualstudio.com')) {
+        // https://dev.azure.com/org/project/_git/repo or https://org.visualstudio.com/project/_git/repo
+        return repositoryPath.includes('/_git/') ? `https://${host}/${repositoryPath}/commit/${hash}` : undefined;
+    }
+    if (host === 'github.com' || host.startsWith('github.')) {
+        return `https://${host}/${repositoryPath}/commit/${hash}`;
+    }
+    if (host === 'gitlab.com' || host.startsWith('gitlab.')) {
+        return `https://${host}/${repositoryPath}/-/commit/${hash}`;
+    }
+    return undefined;
+}
@@ -0,0 +1,230 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { git } from './git';
+
+// Allowlisted findings are kept next to the workspace settings so the team can share them
+export const ALLOWLIST_FILE = path.join('.vscode', 'milestone-allowlist.json');
+
+// Lock files are full of integrity hashes that look like secrets
+const ENTROPY_SKIP_FILES = /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|[^/]+\.lock)$/;
+const ENV_FILE = /(^|\/)\.env(\.[^/]+)?$/;
+const ENV_TEMPLATE_FILE = /\.(example|sample|template|dist)$/;
+
+export interface ScanFinding {
+    path: string;
+    rule: string;
+    description: string;
+    line?: number;
+    // Identifies the exact match so allowlisting one secret does not hide others in the same file
+    fingerprint?: string;
+}
+
+export interface AllowlistEntry {
+    path: string;
+    rule: string;
+    fingerprint?: string;
+}
+
+const SECRET_RULES: { rule: string; description: string; pattern: RegExp }[] = [
+    { rule: 'private-key', description: 'Private key', pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+    { rule: 'aws-access-key', description: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+    { rule: 'aws-secret-key', description: 'AWS secret access key', pattern: /aws.{0,20}(?:secret|private).{0,20}['"=:\s]([0-9a-zA-Z/+]{40})\b/i },
+    { rule: 'github-token', description: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/ },
+    { rule: 'slack-token', description: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/ },
+    { rule: 'slack-webhook', description: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/_-]+/ }
+];
+
+// Quoted or assigned values that could be keys or tokens
+const ENTROPY_CANDIDATE = /['"]([A-Za-z0-9+/_=-]{20,})['"]|[=:]\s*([A-Za-z0-9+/_=-]{20,})/g;
+
+export function shannonEntropy(value: string): number {
+    const counts = new Map<string, number>();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) ?? 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const probability = count / value.length;
+        entropy -= probability * Math.log2(probability);
+    }
+    return entropy;
+}
+
+function isHighEntropy(candidate: string): boolean {
+    // Plain words and identifiers are not secrets
+    if (!/[0-9]/.test(candidate) || !/[A-Za-z]/.test(candidate)) {
+        return false;
+    }
+    if (/^[0-9a-f]+$/i.test(candidate)) {
+        return candidate.length >= 32 && shannonEntropy(candidate) > 3.0;
+    }
+    return shannonEntropy(candidate) > 4.0;
+}
+
+function fingerprint(filePath: string, rule: string, match: string): string {
+    return crypto.createHash('sha256').update(`${filePath}\0${rule}\0${match}`).digest('hex').substring(0, 16);
+}
+
+function redact(match: string): string {
+    return match.length > 8 ? `${match.substring(0, 4)}…${match.substring(match.length - 2)}` : '…';
+}
+
+const C_ESCAPES: Record<string, number> = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13 };
+
+function unquotePath(diffPath: string): string {
+    // git quotes paths with unusual characters C-style: "b/some \"file\"", and writes the
+    // UTF-8 bytes of non-ASCII characters as octal escapes: "b/caf\303\251.env"
+    let unquoted = diffPath;
+    if (diffPath.startsWith('"') && diffPath.endsWith('"')) {
+        const bytes: number[] = [];
+        // By code point, with core.quotePath off non-ASCII characters are written as they are
+        const body = Array.from(diffPath.slice(1, -1));
+        for (let i = 0; i < body.length; i++) {
+            const octal = body[i] === '\\' ? /^[0-7]{3}/.exec(body.slice(i + 1, i + 4).join('')) : null;
+            if (octal) {
+                bytes.push(parseInt(octal[0], 8));
+                i += 3;
+            } else if (body[i] === '\\' && i + 1 < body.length) {
+                i++;
+                bytes.push(C_ESCAPES[body[i]] ?? body[i].charCodeAt(0));
+            } else {
+                bytes.push(...Buffer.from(body[i]));
+            }
+        }
+        unquoted = Buffer.from(bytes).toString('utf8');
+    }
+    return unquoted.replace(/^b\//, '');
+}
+
+function scanLine(filePath: string, line: string, lineNumber: number, findings: ScanFinding[]) {
+    for (const { rule, description, pattern } of SECRET_RULES) {
+        const match = line.match(pattern);
+        if (match) {
+            const secret = match[1] ?? match[0];
+            findings.push({
+                path: filePath,
+                rule,
+                description: `${description} (${redact(secret)})`,
+                line: lineNumber,
+                fingerprint: fingerprint(filePath, rule, secret)
+            });
+            return;
+        }
+    }
+
+    if (ENTROPY_SKIP_FILES.test(filePath)) {
+        return;
+    }
+    for (const match of line.matchAll(ENTROPY_CANDIDATE)) {
+        const candidate = match[1] ?? match[2];
+        if (candidate && isHighEntropy(candidate)) {
+            findings.push({
+                path: filePath,
+                rule: 'high-entropy',
+                description: `High-entropy string (${redact(candidate)})`,
+                line: lineNumber,
+                fingerprint: fingerprint(filePath, 'high-entropy', candidate)
+            });
+            return;
+        }
+    }
+}
+
+// Scans what is currently staged: added lines for secrets, names for .env files, sizes for large files.
+// env can point git at another index, e.g. the one a checkpoint is staged in
+export async function scanStagedChanges(repoPath: string, maxFileSizeKB: number, env?: NodeJS.ProcessEnv): Promise<ScanFinding[]> {
+    const findings: ScanFinding[] = [];
+
+    const { stdout: names } = await git(['diff', '--cached', '--name-only', '-z', '--diff-filter=ACMR'], { cwd: repoPath, env });
+    const stagedFiles = names.split('\0').filter(name => name);
+
+    for (const file of stagedFiles) {
+        if (ENV_FILE.test(file) && !ENV_TEMPLATE_FILE.test(file)) {
+            findings.push({ path: file, rule: 'env-file', description: 'Environment file' });
+        }
+
+        if (maxFileSizeKB > 0) {
+            // The size of the staged blob, which is what gets committed, not of the file on disk
+            const { stdout: sizeOutput } = await git(['cat-file', '-s', `:${file}`], { cwd: repoPath, env });
+            const size = parseInt(sizeOutput.trim(), 10);
+            if (size > maxFileSizeKB * 1024) {
+                findings.push({
+                    path: file,
+                    rule: 'large-file',
+                    description: `Large file (${Math.round(size / 1024)} KB, limit ${maxFileSizeKB} KB)`
+                });
+            }
+        }
+    }
+
+    const { stdout: diff } = await git(['diff', '--cached', '-U0', '--no-color', '--no-ext-diff'], { cwd: repoPath, env });
+    let currentFile: string | undefined;
+    let lineNumber = 0;
+    // Lines still to come in the current hunk. Inside a hunk an added line may itself start with "++ ",
+    // so file headers are only looked for between hunks
+    let oldLines = 0;
+    let newLines = 0;
+    for (const line of diff.split('\n')) {
+        if (oldLines > 0 || newLines > 0) {
+            if (line.startsWith('+')) {
+                if (currentFile) {
+                    scanLine(currentFile, line.substring(1), lineNumber, findings);
+                }
+                lineNumber++;
+                newLines--;
+            } else if (line.startsWith('-')) {
+                oldLines--;
+            } else if (line.startsWith(' ')) {
+                lineNumber++;
+                oldLines--;
+                newLines--;
+            }
+            // "\ No newline at end of file" belongs to the line before it
+        } else if (line.startsWith('+++ ')) {
+            const target = line.substring(4).trim();
+            currentFile = target === '/dev/null' ? undefined : unquotePath(target);
+        } else if (line.startsWith('@@')) {
+            // A missing count means one line
+            const hunk = line.match(/^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+            if (hunk) {
+                oldLines = hunk[1] === undefined ? 1 : parseInt(hunk[1], 10);
+                lineNumber = parseInt(hunk[2], 10);
+                newLines = hunk[3] === undefined ? 1 : parseInt(hunk[3], 10);
+            }
+        }
+    }
+
+    return findings;
+}
+
+export function readAllowlist(repoPath: string): AllowlistEntry[] {
+    try {
+        const content = fs.readFileSync(path.join(repoPath, ALLOWLIST_FILE), 'utf8');
+        const parsed = JSON.parse(content) as { entries?: AllowlistEntry[] };
+        return Array.isArray(parsed.entries) ? parsed.entries : [];
+    } catch {
+        return [];
+    }
+}
+
+export function addToAllowlist(repoPath: string, findings: ScanFinding[]) {
+    const entries = readAllowlist(repoPath);
+    for (const finding of findings) {
+        if (!isAllowlisted(finding, entries)) {
+            entries.push({ path: finding.path, rule: finding.rule, fingerprint: finding.fingerprint });
+        }
+    }
+
+    const allowlistPath = path.join(repoPath, ALLOWLIST_FILE);
+    fs.mkdirSync(path.dirname(allowlistPath), { recursive: true });
+    fs.writeFileSync(allowlistPath, JSON.stringify({ entries }, null, 4) + '\n');
+}
+
+export function isAllowlisted(finding: ScanFinding, entries: AllowlistEntry[]): boolean {
+    return entries.some(entry =>
+        entry.path === finding.path &&
+        entry.rule === finding.rule &&
+        (!entry.fingerprint || entry.fingerprint === finding.fingerprint)
+    );
+}
@@ -0,0 +1,86 @@
+import * as assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { IgnoreRule, findIgnoreRule, parseIgnoreLines } from '../ignoreRules';
+
+function rules(...lines: string[]): IgnoreRule[] {
+    return parseIgnoreLines(lines, line => `.milestoneignore:${line}`);
+}
+
+function ignored(filePath: string, ...lines: string[]): boolean {
+    return findIgnoreRule(filePath, rules(...lines)) !== undefined;
+}
+
+describe('parseIgnoreLines', () => {
+    it('skips comments and blank lines and records the source line', () => {
+        const parsed = rules('# comment', '', '*.log', '!keep.log', 'build/');
+        assert.deepEqual(parsed.map(rule => [rule.source, rule.negated, rule.directoryOnly]), [
+            ['.milestoneignore:3', false, false],
+            ['.milestoneignore:4', true, false],
+            ['.milestoneignore:5', false, true]
+        ]);
+    });
+
+    it('unescapes a leading \\# or \\!', () => {
+        assert.ok(ignored('#notes', '\\#notes'));
+        assert.ok(ignored('!important', '\\!important'));
+    });
+});
+
+describe('findIgnoreRule', () => {
+    it('matches unanchored globs in any directory', () => {
+        assert.ok(ignored('debug.log', '*.log'));
+        assert.ok(ignored('src/deep/debug.log', '*.log'));
+        assert.ok(!ignored('debug.log.txt', '*.log'));
+    });
+
+    it('anchors patterns containing a slash to the root', () => {
+        assert.ok(ignored('docs/out.md', '/docs/*.md'));
+        assert.ok(!ignored('src/docs/out.md', '/docs/*.md'));
+        assert.ok(!ignored('docs/api/out.md', 'docs/*.md'));
+    });
+
+    it('supports ** in all positions', () => {
+        assert.ok(ignored('a/b/c/secret.json', '**/secret.json'));
+        assert.ok(ignored('secret.json', '**/secret.json'));
+        assert.ok(ignored('logs/2024/01/app.txt', 'logs/**'));
+        assert.ok(ignored('a/x/y/b', 'a/**/b'));
+        assert.ok(ignored('a/b', 'a/**/b'));
+    });
+
+    it('supports ? and character classes', () => {
+        assert.ok(ignored('file1.tmp', 'file?.tmp'));
+        assert.ok(!ignored('file10.tmp', 'file?.tmp'));
+        assert.ok(ignored('a.bak', '[ab].bak'));
+        assert.ok(!ignored('c.bak', '[ab].bak'));
+        assert.ok(ignored('c.bak', '[!ab].bak'));
+    });
+
+    it('covers the files of an ignored directory', () => {
+        assert.ok(ignored('build/out/app.js', 'build/'));
+        assert.ok(!ignored('build', 'build/'));
+    });
+
+    it('lets the last matching rule win', () => {
+        assert.ok(!ignored('keep.log', '*.log', '!keep.log'));
+        assert.ok(ignored('keep.log', '!keep.log', '*.log'));
+    });
+
+    it('returns the deciding rule', () => {
+        const rule = findIgnoreRule('a.log', rules('*.tmp', '*.log'));
+        assert.equal(rule?.pattern, '*.log');
+        assert.equal(rule?.source, '.milestoneignore:2');
+    });
+
+    it('tests the legacy regex against the whole path', () => {
+        const legacy: IgnoreRule = {
+            source: 'ignoredFilesPattern',
+            pattern: '\\.(log|tmp)$',
+            negated: false,
+            directoryOnly: false,
+            regex: /\.(log|tmp)$/
+        };
+        assert.equal(findIgnoreRule('src/app.tmp', [legacy]), legacy);
+        assert.equal(findIgnoreRule('src\\app.log', [legacy]), legacy);
+        assert.equal(findIgnoreRule('src/app.ts', [legacy]), undefined);
+    });
+});
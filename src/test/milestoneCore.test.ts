@@ -0,0 +1,153 @@
+import * as assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    Milestone,
+    branchPatternToRegExp,
+    buildMilestoneMessage,
+    findBaseBranchPattern,
+    groupMilestones,
+    parseMilestoneRecord
+} from '../milestoneCore';
+
+// A record as MILESTONE_LOG_FORMAT prints it, without the leading record separator
+function record(subject: string, body: string): string {
+    return ['0123456789abcdef', subject, '2024-05-01', '2024-05-01 14:03:12 +0200', 'Ada', body].join('\x1f');
+}
+
+function milestone(hash: string): Milestone {
+    return { hash, message: hash, date: '2024-05-01', time: '12:00:00', timestamp: 0 };
+}
+
+describe('buildMilestoneMessage', () => {
+    it('fills the template and adds the trailers', () => {
+        const message = buildMilestoneMessage(
+            {
+                title: 'Login form',
+                description: 'Validation still missing',
+                labels: ['ui', 'auth'],
+                auto: 'save',
+                verification: { passed: true, duration: 12345 }
+            },
+            'feat: {title} [{labels}]',
+            'group-1'
+        );
+        assert.equal(message, [
+            'feat: Login form [ui, auth]',
+            '',
+            'Validation still missing',
+            '',
+            'Milestone-Title: Login form',
+            'Milestone-Label: ui',
+            'Milestone-Label: auth',
+            'Milestone-Group: group-1',
+            'Milestone-Auto: save',
+            'Milestone-Verified: passed in 12.3s',
+            ''
+        ].join('\n'));
+    });
+
+    it('uses a placeholder title and leaves out empty paragraphs', () => {
+        assert.equal(
+            buildMilestoneMessage({ title: '', description: '', labels: [] }, '{title}'),
+            'No note provided\n\nMilestone-Title: No note provided\n'
+        );
+    });
+
+    it('keeps replacement patterns in notes and labels literal', () => {
+        const message = buildMilestoneMessage({ title: "costs $& and $'", description: '', labels: ['$`'] }, '{title} {labels}');
+        assert.equal(message.split('\n')[0], "costs $& and $' $`");
+    });
+});
+
+describe('parseMilestoneRecord', () => {
+    it('reads title, description and trailers', () => {
+        const parsed = parseMilestoneRecord(record(
+            'feat: Login form',
+            'Validation still missing\n\nMilestone-Title: Login form\nMilestone-Label: ui\nMilestone-Label: auth\n' +
+            'Milestone-Group: group-1\nMilestone-Auto: save\nMilestone-Verified: failed in 4.0s\n'
+        ));
+        assert.equal(parsed.hash, '0123456789abcdef');
+        assert.equal(parsed.message, 'Login form');
+        assert.equal(parsed.description, 'Validation still missing');
+        assert.deepEqual(parsed.labels, ['ui', 'auth']);
+        assert.equal(parsed.group, 'group-1');
+        assert.equal(parsed.auto, 'save');
+        assert.deepEqual(parsed.verification, { passed: false, duration: 4000 });
+        assert.equal(parsed.author, 'Ada');
+        assert.equal(parsed.date, '2024-05-01');
+        assert.equal(parsed.time, '14:03:12');
+        assert.equal(parsed.timestamp, Date.UTC(2024, 4, 1, 12, 3, 12));
+    });
+
+    it('reads the title of legacy milestones from the subject', () => {
+        const parsed = parseMilestoneRecord(record('feat: Login form saved as milestone', ''));
+        assert.equal(parsed.message, 'Login form');
+        assert.equal(parsed.description, undefined);
+        assert.deepEqual(parsed.labels, []);
+    });
+
+    it('treats a last paragraph that is not all trailers as description', () => {
+        const parsed = parseMilestoneRecord(record('feat: x', 'First\n\nNote: this is prose\nand more'));
+        assert.equal(parsed.description, 'First\n\nNote: this is prose\nand more');
+    });
+
+    it('reads back what buildMilestoneMessage wrote', () => {
+        const message = buildMilestoneMessage({ title: 'Round trip', description: 'Body', labels: ['a'] }, 'feat: {title}');
+        const [subject, ...body] = message.split('\n');
+        const parsed = parseMilestoneRecord(record(subject, body.join('\n')));
+        assert.equal(parsed.message, 'Round trip');
+        assert.equal(parsed.description, 'Body');
+        assert.deepEqual(parsed.labels, ['a']);
+    });
+});
+
+describe('groupMilestones', () => {
+    const milestones = ['a', 'b', 'c', 'd'].map(milestone);
+
+    it('puts everything in one group ending at HEAD without boundaries', () => {
+        const groups = groupMilestones(milestones, new Set());
+        assert.deepEqual(groups.map(group => group.end), ['HEAD']);
+        assert.deepEqual(groups[0].milestones.map(m => m.hash), ['a', 'b', 'c', 'd']);
+    });
+
+    it('ends a group after each boundary', () => {
+        const groups = groupMilestones(milestones, new Set(['a', 'c']));
+        assert.deepEqual(groups.map(group => group.end), ['a', 'c', 'HEAD']);
+        assert.deepEqual(groups.map(group => group.milestones.map(m => m.hash)), [['a'], ['b', 'c'], ['d']]);
+    });
+
+    it('ignores a boundary on the last milestone', () => {
+        const groups = groupMilestones(milestones, new Set(['d']));
+        assert.deepEqual(groups.map(group => group.end), ['HEAD']);
+    });
+});
+
+describe('branchPatternToRegExp', () => {
+    const matches = (pattern: string, branch: string) => branchPatternToRegExp(pattern)?.test(branch) ?? false;
+
+    it('matches plain names exactly and ignoring case', () => {
+        assert.ok(matches('main', 'main'));
+        assert.ok(matches('main', 'Main'));
+        assert.ok(!matches('main', 'main2'));
+        assert.ok(!matches('release.1', 'releasex1'));
+    });
+
+    it('stops * and ? at slashes but not **', () => {
+        assert.ok(matches('release/*', 'release/1.0'));
+        assert.ok(!matches('release/*', 'release/1.0/fix'));
+        assert.ok(matches('release/**', 'release/1.0/fix'));
+        assert.ok(matches('hotfix-?', 'hotfix-1'));
+        assert.ok(!matches('hotfix-?', 'hotfix-12'));
+    });
+
+    it('accepts regular expressions between slashes', () => {
+        assert.ok(matches('/^v\\d+$/', 'V2'));
+        assert.ok(!matches('/^v\\d+$/', 'v2-beta'));
+        assert.equal(branchPatternToRegExp('/[/'), undefined);
+    });
+
+    it('finds the first matching protected branch entry', () => {
+        assert.equal(findBaseBranchPattern('release/2.0', ['main', 'release/*', 'release/**']), 'release/*');
+        assert.equal(findBaseBranchPattern('feature/x', ['main', 'release/*']), undefined);
+    });
+});
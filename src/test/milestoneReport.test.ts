@@ -0,0 +1,111 @@
+import * as assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    MilestoneReport,
+    formatChangelogSection,
+    formatJsonReport,
+    formatMarkdownReport,
+    insertChangelogSection
+} from '../milestoneReport';
+
+const report: MilestoneReport = {
+    repository: '/work/app',
+    branch: 'feature/login',
+    scope: 'All milestones on feature/login',
+    generatedAt: '2024-05-02T08:00:00.000Z',
+    milestones: [
+        {
+            hash: 'aaaaaaa1111',
+            title: 'Login form',
+            description: 'Validation still missing',
+            labels: ['ui'],
+            date: '2024-05-01',
+            time: '10:00:00',
+            filesChanged: 2,
+            insertions: 30,
+            deletions: 4,
+            files: [
+                { status: 'A', path: 'src/login.ts' },
+                { status: 'M', path: 'src/app.ts' }
+            ]
+        },
+        {
+            hash: 'bbbbbbb2222',
+            title: '',
+            labels: [],
+            date: '2024-05-01',
+            time: '11:00:00',
+            filesChanged: 1,
+            insertions: 1,
+            deletions: 1,
+            files: [{ status: 'M', path: 'src/`odd`.ts' }]
+        }
+    ]
+};
+
+describe('formatMarkdownReport', () => {
+    it('lists each milestone with its stats and files', () => {
+        assert.equal(formatMarkdownReport(report), [
+            '## Milestones on feature/login',
+            '',
+            'All milestones on feature/login: 2 milestones, 3 files touched, +31 -5',
+            '',
+            '### Login form `ui`',
+            '',
+            '2024-05-01 10:00:00 · `aaaaaaa` · 2 files changed, +30 -4',
+            '',
+            'Validation still missing',
+            '',
+            '- `src/login.ts` (added)',
+            '- `src/app.ts` (modified)',
+            '',
+            '### No note provided',
+            '',
+            '2024-05-01 11:00:00 · `bbbbbbb` · 1 file changed, +1 -1',
+            '',
+            '- `` src/`odd`.ts `` (modified)',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('formatJsonReport', () => {
+    it('round-trips the report', () => {
+        assert.deepEqual(JSON.parse(formatJsonReport(report)), report);
+    });
+});
+
+describe('formatChangelogSection', () => {
+    it('has one bullet per milestone', () => {
+        assert.equal(
+            formatChangelogSection(report),
+            '## feature/login - 2024-05-02\n\n- Login form [ui] (aaaaaaa)\n- No note provided (bbbbbbb)\n'
+        );
+    });
+});
+
+describe('insertChangelogSection', () => {
+    const section = '## New\n\n- b\n';
+
+    it('creates a changelog when there is none', () => {
+        assert.equal(insertChangelogSection('', section), '# Changelog\n\n## New\n\n- b\n');
+    });
+
+    it('goes after the introduction and before the newest section', () => {
+        assert.equal(
+            insertChangelogSection('# Changelog\n\nIntro\n\n## Old\n\n- a\n', section),
+            '# Changelog\n\nIntro\n\n## New\n\n- b\n\n## Old\n\n- a\n'
+        );
+    });
+
+    it('goes at the end when there is no section yet', () => {
+        assert.equal(insertChangelogSection('# Changelog\n\nIntro\n\n', section), '# Changelog\n\nIntro\n\n## New\n\n- b\n');
+    });
+
+    it('keeps CRLF line endings', () => {
+        assert.equal(
+            insertChangelogSection('# Changelog\r\n\r\n## Old\r\n', section),
+            '# Changelog\r\n\r\n## New\r\n\r\n- b\r\n\r\n## Old\r\n'
+        );
+    });
+});
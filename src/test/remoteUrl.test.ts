@@ -0,0 +1,55 @@
+import * as assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getCommitWebUrl } from '../remoteUrl';
+
+const HASH = '3f2a1bc9d8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a3';
+
+describe('getCommitWebUrl', () => {
+    it('links GitHub remotes over SSH and HTTPS', () => {
+        const expected = `https://github.com/owner/repo/commit/${HASH}`;
+        assert.equal(getCommitWebUrl('git@github.com:owner/repo.git', HASH), expected);
+        assert.equal(getCommitWebUrl('ssh://git@github.com/owner/repo.git', HASH), expected);
+        assert.equal(getCommitWebUrl('https://github.com/owner/repo.git', HASH), expected);
+        assert.equal(getCommitWebUrl('https://user@github.com/owner/repo/', HASH), expected);
+        assert.equal(getCommitWebUrl('  git@github.com:owner/repo.git\n', HASH), expected);
+    });
+
+    it('keeps GitHub Enterprise hosts', () => {
+        assert.equal(
+            getCommitWebUrl('git@github.example.com:team/repo.git', HASH),
+            `https://github.example.com/team/repo/commit/${HASH}`
+        );
+    });
+
+    it('links GitLab remotes, including nested groups and custom ports', () => {
+        assert.equal(
+            getCommitWebUrl('git@gitlab.com:group/subgroup/repo.git', HASH),
+            `https://gitlab.com/group/subgroup/repo/-/commit/${HASH}`
+        );
+        assert.equal(
+            getCommitWebUrl('ssh://git@gitlab.example.com:2222/group/repo.git', HASH),
+            `https://gitlab.example.com/group/repo/-/commit/${HASH}`
+        );
+    });
+
+    it('links Azure DevOps remotes over SSH and HTTPS', () => {
+        const expected = `https://dev.azure.com/org/project/_git/repo/commit/${HASH}`;
+        assert.equal(getCommitWebUrl('git@ssh.dev.azure.com:v3/org/project/repo', HASH), expected);
+        assert.equal(getCommitWebUrl('https://org@dev.azure.com/org/project/_git/repo', HASH), expected);
+        assert.equal(
+            getCommitWebUrl('https://org.visualstudio.com/project/_git/repo', HASH),
+            `https://org.visualstudio.com/project/_git/repo/commit/${HASH}`
+        );
+        assert.equal(
+            getCommitWebUrl('org@vs-ssh.visualstudio.com:v3/org/project/repo', HASH),
+            expected
+        );
+    });
+
+    it('returns undefined for unknown hosts and local paths', () => {
+        assert.equal(getCommitWebUrl('git@bitbucket.org:owner/repo.git', HASH), undefined);
+        assert.equal(getCommitWebUrl('https://dev.azure.com/org/project', HASH), undefined);
+        assert.equal(getCommitWebUrl('/srv/git/repo.git', HASH), undefined);
+        assert.equal(getCommitWebUrl('', HASH), undefined);
+    });
+});
@@ -0,0 +1,43 @@
+import * as assert from 'node:assert/strict';
+import * as child_process from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+// A fixed identity, so the tests do not depend on the user's git configuration
+export const env = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+// The git helpers of the modules under test run in the test process, so they need the identity too
+Object.assign(process.env, env);
+
+export function run(
+    command: string,
+    args: string[],
+    cwd: string,
+    extraEnv: NodeJS.ProcessEnv = {}
+): { status: number | null; stdout: string; stderr: string } {
+    const result = child_process.spawnSync(command, args, { cwd, env: { ...env, ...extraEnv }, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+export function gitIn(repo: string, ...args: string[]): string {
+    const result = run('git', args, repo);
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout.trim();
+}
+
+// A repository on main with one commit containing README.md. Remove it with fs.rmSync when done
+export function createRepository(): string {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'milestone-test-'));
+    gitIn(repo, 'init', '-q', '-b', 'main');
+    fs.writeFileSync(path.join(repo, 'README.md'), 'Project\n');
+    gitIn(repo, 'add', '.');
+    gitIn(repo, 'commit', '-q', '-m', 'Initial commit');
+    return repo;
+}
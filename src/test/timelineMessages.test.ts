@@ -0,0 +1,52 @@
+import * as assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseWebviewMessage } from '../timelineMessages';
+
+describe('parseWebviewMessage', () => {
+    it('accepts messages without arguments', () => {
+        assert.deepEqual(parseWebviewMessage({ type: 'ready' }), { type: 'ready' });
+        assert.deepEqual(parseWebviewMessage({ type: 'refresh', extra: 1 }), { type: 'refresh' });
+    });
+
+    it('keeps only the known fields of repository and milestone messages', () => {
+        assert.deepEqual(
+            parseWebviewMessage({ type: 'create', repo: '/repo', hash: 'abc' }),
+            { type: 'create', repo: '/repo' }
+        );
+        assert.deepEqual(
+            parseWebviewMessage({ type: 'revert', repo: '/repo', hash: 'abc', mode: 'reset' }),
+            { type: 'revert', repo: '/repo', hash: 'abc' }
+        );
+        assert.equal(parseWebviewMessage({ type: 'editMilestoneIgnore' }), undefined);
+        assert.equal(parseWebviewMessage({ type: 'showDetails', repo: '/repo', hash: 42 }), undefined);
+    });
+
+    it('needs a known target and, to compare two milestones, the other hash', () => {
+        assert.deepEqual(
+            parseWebviewMessage({ type: 'compare', repo: '/repo', hash: 'abc', target: 'workingTree' }),
+            { type: 'compare', repo: '/repo', hash: 'abc', target: 'workingTree', otherHash: undefined }
+        );
+        assert.deepEqual(
+            parseWebviewMessage({ type: 'compare', repo: '/repo', hash: 'abc', target: 'milestone', otherHash: 'def' }),
+            { type: 'compare', repo: '/repo', hash: 'abc', target: 'milestone', otherHash: 'def' }
+        );
+        assert.equal(parseWebviewMessage({ type: 'compare', repo: '/repo', hash: 'abc', target: 'milestone' }), undefined);
+        assert.equal(parseWebviewMessage({ type: 'compare', repo: '/repo', hash: 'abc', target: 'HEAD' }), undefined);
+    });
+
+    it('checks every settings field', () => {
+        const settings = { additionalBaseBranches: 'develop;release', ignoredFilesPattern: '\\.log$', ignoredFileGlobs: ['dist/'] };
+        assert.deepEqual(parseWebviewMessage({ type: 'saveSettings', settings }), { type: 'saveSettings', settings });
+        assert.equal(parseWebviewMessage({ type: 'saveSettings' }), undefined);
+        assert.equal(parseWebviewMessage({ type: 'saveSettings', settings: { ...settings, ignoredFileGlobs: 'dist/' } }), undefined);
+        assert.equal(parseWebviewMessage({ type: 'saveSettings', settings: { ...settings, ignoredFileGlobs: ['dist/', 3] } }), undefined);
+        assert.equal(parseWebviewMessage({ type: 'saveSettings', settings: { ...settings, ignoredFilesPattern: null } }), undefined);
+    });
+
+    it('rejects unknown types and values that are not objects', () => {
+        assert.equal(parseWebviewMessage({ type: 'deleteEverything', repo: '/repo' }), undefined);
+        assert.equal(parseWebviewMessage({}), undefined);
+        assert.equal(parseWebviewMessage(null), undefined);
+        assert.equal(parseWebviewMessage('ready'), undefined);
+    });
+});
@@ -0,0 +1,65 @@
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { runVerificationCommand } from '../verificationCommand';
+
+describe('runVerificationCommand', () => {
+    let dir: string;
+    let lines: string[];
+    const log = (line: string) => lines.push(line);
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'milestone-verification-'));
+        lines = [];
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const run = (command: string, timeoutSeconds = 0, signal = new AbortController().signal) =>
+        runVerificationCommand(command, dir, timeoutSeconds, log, signal);
+
+    it('passes when the command exits with 0 and logs its output', async () => {
+        assert.equal(await run('echo built && echo warned 1>&2'), true);
+        assert.ok(lines.includes('  built'));
+        assert.ok(lines.includes('  warned'));
+        assert.ok(lines.includes('  exit code 0'));
+    });
+
+    it('runs in the given directory', async () => {
+        fs.writeFileSync(path.join(dir, 'marker'), '');
+        assert.equal(await run('test -f marker'), true);
+    });
+
+    it('fails when the command exits with another code', async () => {
+        assert.equal(await run('exit 3'), false);
+        assert.ok(lines.includes('  exit code 3'));
+    });
+
+    it('fails and stops the whole command once the timeout passes', async () => {
+        const started = Date.now();
+        assert.equal(await run('sleep 1 && touch late', 0.2), false);
+        assert.ok(Date.now() - started < 1000);
+        assert.ok(lines.includes('  timed out after 0.2 s'));
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        assert.equal(fs.existsSync(path.join(dir, 'late')), false);
+    });
+
+    it('resolves to undefined when aborted', async () => {
+        const controller = new AbortController();
+        const result = run('sleep 5', 0, controller.signal);
+        setTimeout(() => controller.abort(), 100);
+        assert.equal(await result, undefined);
+        assert.ok(lines.includes('  cancelled'));
+    });
+
+    it('does not start the command when already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        assert.equal(await run('touch started', 0, controller.signal), undefined);
+        assert.equal(fs.existsSync(path.join(dir, 'started')), false);
+    });
+});
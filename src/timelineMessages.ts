@@ -0,0 +1,118 @@
+// Messages exchanged between the timeline webview and the extension.
+// The webview script is plain JavaScript, so every message it sends is checked with parseWebviewMessage
+
+export interface TimelineMilestone {
+    hash: string;
+    title: string;
+    description?: string;
+    labels: string[];
+    // YYYY-MM-DD, used for grouping and the date filter
+    date: string;
+    time: string;
+    author?: string;
+    auto?: string;
+    // undefined when no verification ran before the milestone
+    verified?: boolean;
+    filesChanged: number;
+    insertions: number;
+    deletions: number;
+}
+
+export interface TimelineRepository {
+    root: string;
+    name: string;
+    branch: string | null;
+    milestones: TimelineMilestone[];
+}
+
+export interface TimelineSettings {
+    // Semicolon separated, as in the additionalBaseBranches setting
+    additionalBaseBranches: string;
+    ignoredFilesPattern: string;
+    ignoredFileGlobs: string[];
+}
+
+export interface TimelineState {
+    repositories: TimelineRepository[];
+    // Always protected, shown next to the configured base branches
+    defaultBaseBranches: string[];
+    settings: TimelineSettings;
+}
+
+export type ExtensionMessage =
+    | { type: 'state'; state: TimelineState }
+    | { type: 'busy'; busy: boolean }
+    | { type: 'settingsSaved'; target: 'workspace' | 'global' }
+    | { type: 'error'; message: string };
+
+export type CompareTarget = 'previous' | 'workingTree' | 'milestone';
+
+export type WebviewMessage =
+    | { type: 'ready' }
+    | { type: 'refresh' }
+    | { type: 'create'; repo: string }
+    | { type: 'revert'; repo: string; hash: string }
+    | { type: 'compare'; repo: string; hash: string; target: CompareTarget; otherHash?: string }
+    | { type: 'showDetails'; repo: string; hash: string }
+    | { type: 'editMilestoneIgnore'; repo: string }
+    | { type: 'saveSettings'; settings: TimelineSettings };
+
+function isString(value: unknown): value is string {
+    return typeof value === 'string';
+}
+
+// Returns undefined for anything that is not a well-formed message
+export function parseWebviewMessage(value: unknown): WebviewMessage | undefined {
+    if (typeof value !== 'object' || value === null) {
+        return undefined;
+    }
+    const message = value as Record<string, unknown>;
+
+    switch (message.type) {
+        case 'ready':
+        case 'refresh':
+            return { type: message.type };
+        case 'create':
+        case 'editMilestoneIgnore':
+            return isString(message.repo) ? { type: message.type, repo: message.repo } : undefined;
+        case 'revert':
+        case 'showDetails':
+            return isString(message.repo) && isString(message.hash)
+                ? { type: message.type, repo: message.repo, hash: message.hash }
+                : undefined;
+        case 'compare': {
+            const target = message.target;
+            if (!isString(message.repo) || !isString(message.hash) ||
+                (target !== 'previous' && target !== 'workingTree' && target !== 'milestone')) {
+                return undefined;
+            }
+            if (target === 'milestone' && !isString(message.otherHash)) {
+                return undefined;
+            }
+            return {
+                type: 'compare',
+                repo: message.repo,
+                hash: message.hash,
+                target,
+                otherHash: isString(message.otherHash) ? message.otherHash : undefined
+            };
+        }
+        case 'saveSettings': {
+            const settings = message.settings as Record<string, unknown> | undefined;
+            if (!settings || !isString(settings.additionalBaseBranches) || !isString(settings.ignoredFilesPattern) ||
+                !Array.isArray(settings.ignoredFileGlobs) || !settings.ignoredFileGlobs.every(isString)) {
+                return undefined;
+            }
+            return {
+                type: 'saveSettings',
+                settings: {
+                    additionalBaseBranches: settings.additionalBaseBranches,
+                    ignoredFilesPattern: settings.ignoredFilesPattern,
+                    ignoredFileGlobs: settings.ignoredFileGlobs as string[]
+                }
+            };
+        }
+        default:
+            return undefined;
+    }
+}
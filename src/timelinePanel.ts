@@ -0,0 +1,523 @@
+import * as crypto from 'crypto';
+import * as vscode from 'vscode';
+import { ExtensionMessage, TimelineState, WebviewMessage, parseWebviewMessage } from './timelineMessages';
+
+// Quiet period before the panel reloads after repository or setting changes
+const TIMELINE_REFRESH_DELAY = 300;
+
+// What the panel needs from the milestone manager
+export interface TimelineHost {
+    getTimelineState(): Promise<TimelineState>;
+    // Returns a message to send back, e.g. when settings were saved
+    handleTimelineMessage(message: WebviewMessage): Promise<ExtensionMessage | void>;
+}
+
+export class TimelinePanel implements vscode.Disposable {
+    public static readonly viewType = 'milestone-manager.timeline';
+
+    private readonly panel: vscode.WebviewPanel;
+    private readonly disposables: vscode.Disposable[] = [];
+    private refreshTimer: NodeJS.Timeout | undefined;
+    private disposed = false;
+
+    constructor(private readonly host: TimelineHost, onDidDispose: () => void) {
+        this.panel = vscode.window.createWebviewPanel(
+            TimelinePanel.viewType,
+            'Milestone Timeline',
+            vscode.ViewColumn.Active,
+            { enableScripts: true, localResourceRoots: [] }
+        );
+        this.panel.webview.html = this.getHtml();
+
+        this.disposables.push(
+            this.panel.webview.onDidReceiveMessage(message => this.onMessage(message)),
+            this.panel.onDidDispose(() => {
+                this.dispose();
+                onDidDispose();
+            })
+        );
+    }
+
+    public reveal() {
+        this.panel.reveal();
+    }
+
+    // Coalesces bursts of changes, e.g. a branch switch that touches several refs
+    public scheduleRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+        }
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = undefined;
+            this.postState();
+        }, TIMELINE_REFRESH_DELAY);
+    }
+
+    public dispose() {
+        if (this.disposed) {
+            return;
+        }
+        this.disposed = true;
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+        }
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.panel.dispose();
+    }
+
+    private post(message: ExtensionMessage) {
+        if (!this.disposed) {
+            this.panel.webview.postMessage(message);
+        }
+    }
+
+    private async postState() {
+        this.post({ type: 'busy', busy: true });
+        try {
+            this.post({ type: 'state', state: await this.host.getTimelineState() });
+        } catch (error) {
+            this.post({ type: 'error', message: error instanceof Error ? error.message : 'Unknown error' });
+        } finally {
+            this.post({ type: 'busy', busy: false });
+        }
+    }
+
+    private async onMessage(value: unknown) {
+        const message = parseWebviewMessage(value);
+        if (!message) {
+            return;
+        }
+
+        if (message.type === 'ready' || message.type === 'refresh') {
+            await this.postState();
+            return;
+        }
+
+        try {
+            const reply = await this.host.handleTimelineMessage(message);
+            if (reply) {
+                this.post(reply);
+            }
+        } catch (error) {
+            this.post({ type: 'error', message: error instanceof Error ? error.message : 'Unknown error' });
+        }
+    }
+
+    private getHtml(): string {
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const csp = [
+            "default-src 'none'",
+            `style-src ${this.panel.webview.cspSource} 'nonce-${nonce}'`,
+            `script-src 'nonce-${nonce}'`
+        ].join('; ');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Milestone Timeline</title>
+<style nonce="${nonce}">${TIMELINE_STYLE}</style>
+</head>
+<body>
+<header>
+    <div class="row">
+        <select id="repository" title="Repository"></select>
+        <span id="branch" class="muted"></span>
+        <span class="spacer"></span>
+        <button id="create">Create Milestone</button>
+        <button id="compare-selected" class="secondary" disabled title="Select two milestones to compare them">Compare Selected</button>
+        <button id="refresh" class="secondary" title="Refresh">Refresh</button>
+    </div>
+    <div class="row filters">
+        <input id="search" type="search" placeholder="Search notes, descriptions and hashes">
+        <select id="label" title="Label"><option value="">All labels</option></select>
+        <label>From <input id="from" type="date"></label>
+        <label>To <input id="to" type="date"></label>
+        <button id="clear-filters" class="secondary">Clear</button>
+    </div>
+    <details id="settings">
+        <summary>Settings</summary>
+        <div class="settings">
+            <label for="base-branches">Protected base branches <span class="muted">(separated by semicolons, globs and /regex/ allowed)</span></label>
+            <input id="base-branches" type="text" placeholder="develop;release/*;hotfix-*">
+            <div id="protected" class="muted"></div>
+            <label for="ignored-pattern">Ignored files pattern <span class="muted">(regex)</span></label>
+            <input id="ignored-pattern" type="text">
+            <label for="ignored-globs">Ignored file globs <span class="muted">(one per line, gitignore syntax)</span></label>
+            <textarea id="ignored-globs" rows="4"></textarea>
+            <div class="row">
+                <button id="save-settings">Save Settings</button>
+                <button id="edit-ignore" class="secondary">Edit .milestoneignore</button>
+                <span id="settings-status" class="muted"></span>
+            </div>
+        </div>
+    </details>
+    <div id="error" class="error" hidden></div>
+</header>
+<main id="timeline"></main>
+<script nonce="${nonce}">${TIMELINE_SCRIPT}</script>
+</body>
+</html>`;
+    }
+}
+
+const TIMELINE_STYLE = `
+body { font-family: var(--vscode-font-family); font-size: var(--vscode-font-size); color: var(--vscode-foreground); padding: 0 16px 16px; }
+header { position: sticky; top: 0; background: var(--vscode-editor-background); padding: 12px 0 8px; border-bottom: 1px solid var(--vscode-panel-border); z-index: 1; }
+.row { display: flex; align-items: center; gap: 8px; flex-wrap: wrap; margin-bottom: 6px; }
+.spacer { flex: 1; }
+.muted { color: var(--vscode-descriptionForeground); }
+.error { color: var(--vscode-errorForeground); margin: 6px 0; }
+input, select, textarea { background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, transparent); padding: 3px 6px; font-family: inherit; }
+input[type=search] { flex: 1; min-width: 200px; }
+button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 4px 10px; cursor: pointer; }
+button:hover { background: var(--vscode-button-hoverBackground); }
+button.secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
+button.link { background: none; color: var(--vscode-textLink-foreground); padding: 0 4px; }
+button:disabled { opacity: 0.5; cursor: default; }
+.settings { display: grid; gap: 4px; max-width: 600px; margin: 8px 0; }
+h2 { font-size: 1em; margin: 16px 0 6px; color: var(--vscode-descriptionForeground); }
+.milestone { display: grid; grid-template-columns: auto 1fr auto; gap: 4px 10px; padding: 8px; border-left: 2px solid var(--vscode-textLink-foreground); margin-left: 4px; }
+.milestone.auto { border-left-color: var(--vscode-descriptionForeground); }
+.milestone:hover { background: var(--vscode-list-hoverBackground); }
+.title { font-weight: 600; }
+.meta, .description { grid-column: 2; }
+.description { white-space: pre-wrap; }
+.actions { grid-row: 1 / span 3; grid-column: 3; display: flex; flex-direction: column; align-items: flex-end; gap: 2px; }
+.label { background: var(--vscode-badge-background); color: var(--vscode-badge-foreground); border-radius: 8px; padding: 0 6px; margin-left: 4px; font-size: 0.9em; }
+.insertions { color: var(--vscode-gitDecoration-addedResourceForeground); }
+.deletions { color: var(--vscode-gitDecoration-deletedResourceForeground); }
+.bar { display: inline-flex; width: 60px; height: 6px; margin-left: 6px; background: var(--vscode-input-background); vertical-align: middle; }
+.bar span:first-child { background: var(--vscode-gitDecoration-addedResourceForeground); }
+.bar span:last-child { background: var(--vscode-gitDecoration-deletedResourceForeground); }
+.empty { margin-top: 24px; }
+body.busy main { opacity: 0.6; }
+`;
+
+// Plain JavaScript run inside the webview. Elements are built with textContent so notes are never parsed as HTML
+const TIMELINE_SCRIPT = `
+(function () {
+    const vscode = acquireVsCodeApi();
+    const saved = vscode.getState() || {};
+    let state;
+    let selected = [];
+
+    const byId = id => document.getElementById(id);
+    const repositorySelect = byId('repository');
+    const search = byId('search');
+    const labelSelect = byId('label');
+    const from = byId('from');
+    const to = byId('to');
+
+    search.value = saved.search || '';
+    from.value = saved.from || '';
+    to.value = saved.to || '';
+
+    function saveState() {
+        vscode.setState({
+            repo: repositorySelect.value,
+            search: search.value,
+            label: labelSelect.value,
+            from: from.value,
+            to: to.value
+        });
+    }
+
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined) {
+            node.textContent = text;
+        }
+        return node;
+    }
+
+    function button(text, title, onClick, className) {
+        const node = element('button', className || 'link', text);
+        node.title = title;
+        node.addEventListener('click', onClick);
+        return node;
+    }
+
+    function currentRepository() {
+        if (!state) {
+            return undefined;
+        }
+        return state.repositories.find(repository => repository.root === repositorySelect.value) || state.repositories[0];
+    }
+
+    function dateHeading(date) {
+        const today = new Date();
+        const format = day => day.getFullYear() + '-' + String(day.getMonth() + 1).padStart(2, '0') + '-' + String(day.getDate()).padStart(2, '0');
+        if (date === format(today)) {
+            return 'Today';
+        }
+        today.setDate(today.getDate() - 1);
+        if (date === format(today)) {
+            return 'Yesterday';
+        }
+        return date;
+    }
+
+    function matches(milestone) {
+        const query = search.value.trim().toLowerCase();
+        if (query) {
+            const text = [milestone.title, milestone.description || '', milestone.hash].concat(milestone.labels).join('\\n').toLowerCase();
+            if (!text.includes(query)) {
+                return false;
+            }
+        }
+        if (labelSelect.value && !milestone.labels.includes(labelSelect.value)) {
+            return false;
+        }
+        if (from.value && milestone.date < from.value) {
+            return false;
+        }
+        if (to.value && milestone.date > to.value) {
+            return false;
+        }
+        return true;
+    }
+
+    function renderDiffStat(milestone) {
+        const stat = element('span', 'stat');
+        const total = milestone.insertions + milestone.deletions;
+        stat.appendChild(element('span', '', milestone.filesChanged + (milestone.filesChanged === 1 ? ' file ' : ' files ')));
+        stat.appendChild(element('span', 'insertions', '+' + milestone.insertions));
+        stat.appendChild(element('span', '', ' '));
+        stat.appendChild(element('span', 'deletions', '-' + milestone.deletions));
+        if (total > 0) {
+            const bar = element('span', 'bar');
+            const added = element('span');
+            const removed = element('span');
+            added.style.width = Math.round(60 * milestone.insertions / total) + 'px';
+            removed.style.width = Math.round(60 * milestone.deletions / total) + 'px';
+            bar.appendChild(added);
+            bar.appendChild(removed);
+            stat.appendChild(bar);
+        }
+        return stat;
+    }
+
+    function renderMilestone(repository, milestone, index, milestones) {
+        const node = element('div', 'milestone' + (milestone.auto ? ' auto' : ''));
+
+        const checkbox = element('input');
+        checkbox.type = 'checkbox';
+        checkbox.title = 'Select to compare';
+        checkbox.checked = selected.includes(milestone.hash);
+        checkbox.addEventListener('change', () => {
+            selected = selected.filter(hash => hash !== milestone.hash);
+            if (checkbox.checked) {
+                selected.push(milestone.hash);
+            }
+            render();
+        });
+        node.appendChild(checkbox);
+
+        const heading = element('div');
+        heading.appendChild(element('span', 'title', milestone.title || 'No note provided'));
+        milestone.labels.forEach(label => heading.appendChild(element('span', 'label', label)));
+        if (milestone.auto) {
+            heading.appendChild(element('span', 'label', 'auto: ' + milestone.auto));
+        }
+        if (milestone.verified !== undefined) {
+            heading.appendChild(element('span', 'label', milestone.verified ? 'verified' : 'verification failed'));
+        }
+        node.appendChild(heading);
+
+        const actions = element('div', 'actions');
+        const message = (type, extra) => Object.assign({ type: type, repo: repository.root, hash: milestone.hash }, extra || {});
+        actions.appendChild(button('Details', 'Show milestone details', () => vscode.postMessage(message('showDetails'))));
+        if (index < milestones.length - 1) {
+            actions.appendChild(button('Compare with Previous', 'Compare with the previous milestone', () => vscode.postMessage(message('compare', { target: 'previous' }))));
+        }
+        actions.appendChild(button('Compare with Working Tree', 'Compare the milestone with your current files', () => vscode.postMessage(message('compare', { target: 'workingTree' }))));
+        actions.appendChild(button('Revert', 'Revert to this milestone', () => vscode.postMessage(message('revert'))));
+        node.appendChild(actions);
+
+        const meta = element('div', 'meta muted');
+        meta.appendChild(element('span', '', milestone.time + ' · ' + milestone.hash.substring(0, 7) + (milestone.author ? ' · ' + milestone.author : '') + ' · '));
+        meta.appendChild(renderDiffStat(milestone));
+        node.appendChild(meta);
+
+        if (milestone.description) {
+            node.appendChild(element('div', 'description muted', milestone.description));
+        }
+        return node;
+    }
+
+    function render() {
+        const timeline = byId('timeline');
+        timeline.replaceChildren();
+        const repository = currentRepository();
+        const compareSelected = byId('compare-selected');
+        compareSelected.disabled = selected.length !== 2;
+        if (!repository) {
+            timeline.appendChild(element('p', 'empty muted', state ? 'No git repositories found in this workspace.' : 'Loading milestones...'));
+            return;
+        }
+
+        byId('branch').textContent = repository.branch ? 'on ' + repository.branch : 'detached HEAD';
+        const milestones = repository.milestones.filter(matches);
+        if (milestones.length === 0) {
+            timeline.appendChild(element('p', 'empty muted', repository.milestones.length === 0
+                ? 'No milestones on this branch yet.'
+                : 'No milestones match the filters.'));
+            return;
+        }
+
+        let currentDate;
+        milestones.forEach(milestone => {
+            if (milestone.date !== currentDate) {
+                currentDate = milestone.date;
+                timeline.appendChild(element('h2', '', dateHeading(milestone.date)));
+            }
+            // "Previous" is the one before it in the full list, not the filtered one
+            const fullIndex = repository.milestones.indexOf(milestone);
+            timeline.appendChild(renderMilestone(repository, milestone, fullIndex, repository.milestones));
+        });
+    }
+
+    function fillRepositories() {
+        const previous = repositorySelect.value || saved.repo;
+        repositorySelect.replaceChildren();
+        state.repositories.forEach(repository => {
+            const option = element('option', '', repository.name);
+            option.value = repository.root;
+            repositorySelect.appendChild(option);
+        });
+        if (state.repositories.some(repository => repository.root === previous)) {
+            repositorySelect.value = previous;
+        }
+        repositorySelect.hidden = state.repositories.length < 2;
+    }
+
+    function fillLabels() {
+        const previous = labelSelect.value || saved.label || '';
+        const repository = currentRepository();
+        const labels = new Set();
+        (repository ? repository.milestones : []).forEach(milestone => milestone.labels.forEach(label => labels.add(label)));
+        labelSelect.replaceChildren(element('option', '', 'All labels'));
+        labelSelect.firstChild.value = '';
+        Array.from(labels).sort().forEach(label => {
+            const option = element('option', '', label);
+            option.value = label;
+            labelSelect.appendChild(option);
+        });
+        labelSelect.value = labels.has(previous) ? previous : '';
+    }
+
+    function fillSettings() {
+        byId('base-branches').value = state.settings.additionalBaseBranches;
+        byId('ignored-pattern').value = state.settings.ignoredFilesPattern;
+        byId('ignored-globs').value = state.settings.ignoredFileGlobs.join('\\n');
+        showProtected();
+    }
+
+    function showProtected() {
+        const configured = byId('base-branches').value.split(';').map(branch => branch.trim()).filter(branch => branch);
+        byId('protected').textContent = 'Protected: ' + state.defaultBaseBranches.concat(configured).join(', ');
+    }
+
+    function showError(message) {
+        const error = byId('error');
+        error.textContent = message || '';
+        error.hidden = !message;
+    }
+
+    window.addEventListener('message', event => {
+        const message = event.data;
+        switch (message.type) {
+            case 'state': {
+                const settingsChanged = !state || JSON.stringify(state.settings) !== JSON.stringify(message.state.settings);
+                state = message.state;
+                const repository = currentRepository();
+                const hashes = repository ? repository.milestones.map(milestone => milestone.hash) : [];
+                selected = selected.filter(hash => hashes.includes(hash));
+                fillRepositories();
+                fillLabels();
+                if (settingsChanged) {
+                    fillSettings();
+                }
+                showError();
+                render();
+                break;
+            }
+            case 'busy':
+                document.body.classList.toggle('busy', message.busy);
+                break;
+            case 'settingsSaved':
+                byId('settings-status').textContent = 'Saved to ' + message.target + ' settings';
+                break;
+            case 'error':
+                showError(message.message);
+                break;
+        }
+    });
+
+    repositorySelect.addEventListener('change', () => {
+        selected = [];
+        fillLabels();
+        saveState();
+        render();
+    });
+    [search, labelSelect, from, to].forEach(input => input.addEventListener('input', () => {
+        saveState();
+        render();
+    }));
+    byId('clear-filters').addEventListener('click', () => {
+        search.value = '';
+        labelSelect.value = '';
+        from.value = '';
+        to.value = '';
+        saveState();
+        render();
+    });
+    byId('refresh').addEventListener('click', () => vscode.postMessage({ type: 'refresh' }));
+    byId('create').addEventListener('click', () => {
+        const repository = currentRepository();
+        if (repository) {
+            vscode.postMessage({ type: 'create', repo: repository.root });
+        }
+    });
+    byId('compare-selected').addEventListener('click', () => {
+        const repository = currentRepository();
+        if (repository && selected.length === 2) {
+            vscode.postMessage({ type: 'compare', repo: repository.root, hash: selected[0], target: 'milestone', otherHash: selected[1] });
+        }
+    });
+    byId('base-branches').addEventListener('input', showProtected);
+    byId('save-settings').addEventListener('click', () => {
+        const pattern = byId('ignored-pattern').value;
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            showError('Invalid ignored files pattern: ' + error.message);
+            return;
+        }
+        byId('settings-status').textContent = '';
+        vscode.postMessage({
+            type: 'saveSettings',
+            settings: {
+                additionalBaseBranches: byId('base-branches').value,
+                ignoredFilesPattern: pattern,
+                ignoredFileGlobs: byId('ignored-globs').value.split('\\n').map(line => line.trim()).filter(line => line)
+            }
+        });
+    });
+    byId('edit-ignore').addEventListener('click', () => {
+        const repository = currentRepository();
+        if (repository) {
+            vscode.postMessage({ type: 'editMilestoneIgnore', repo: repository.root });
+        }
+    });
+
+    render();
+    vscode.postMessage({ type: 'ready' });
+})();
+`;
@@ -0,0 +1,126 @@
+import * as vscode from 'vscode';
+import { MilestoneVerification } from './milestoneCore';
+import { runVerificationCommand } from './verificationCommand';
+
+// A build or test run before a milestone is created, configured with milestone-manager.verification.*
+export interface VerificationSettings {
+    // Shell command run in the repository root
+    command: string;
+    // Name of a VS Code task, used instead of the command when set
+    task: string;
+    timeoutSeconds: number;
+}
+
+// undefined when neither a command nor a task is configured
+export function getVerificationSettings(): VerificationSettings | undefined {
+    const config = vscode.workspace.getConfiguration('milestone-manager.verification');
+    const settings = {
+        command: config.get<string>('command', '').trim(),
+        task: config.get<string>('task', '').trim(),
+        timeoutSeconds: config.get<number>('timeoutSeconds', 600)
+    };
+    return settings.command || settings.task ? settings : undefined;
+}
+
+// Returns undefined when the run was cancelled. Output goes to log line by line
+export async function runVerification(
+    workspacePath: string,
+    settings: VerificationSettings,
+    log: (line: string) => void,
+    token: vscode.CancellationToken
+): Promise<MilestoneVerification | undefined> {
+    const started = Date.now();
+    const passed = settings.task
+        ? await runTask(settings.task, settings.timeoutSeconds, log, token)
+        : await runCancellableCommand(settings.command, workspacePath, settings.timeoutSeconds, log, token);
+    if (passed === undefined) {
+        return undefined;
+    }
+    return { passed, duration: Date.now() - started };
+}
+
+async function runCancellableCommand(
+    command: string,
+    cwd: string,
+    timeoutSeconds: number,
+    log: (line: string) => void,
+    token: vscode.CancellationToken
+): Promise<boolean | undefined> {
+    const controller = new AbortController();
+    if (token.isCancellationRequested) {
+        controller.abort();
+    }
+    const cancellation = token.onCancellationRequested(() => controller.abort());
+    try {
+        return await runVerificationCommand(command, cwd, timeoutSeconds, log, controller.signal);
+    } finally {
+        cancellation.dispose();
+    }
+}
+
+// Background and watch tasks may never end their process, so the timeout applies to tasks too
+async function runTask(
+    name: string,
+    timeoutSeconds: number,
+    log: (line: string) => void,
+    token: vscode.CancellationToken
+): Promise<boolean | undefined> {
+    const task = (await vscode.tasks.fetchTasks()).find(candidate => candidate.name === name);
+    if (!task) {
+        throw new Error(`The verification task '${name}' was not found`);
+    }
+
+    log(`Verifying with task '${name}'`);
+    return new Promise((resolve, reject) => {
+        let execution: vscode.TaskExecution | undefined;
+        // Listen before starting, a quick task may end before executeTask resolves
+        const ended: vscode.TaskProcessEndEvent[] = [];
+        let settled = false;
+        const finish = (result: boolean | undefined) => {
+            if (!settled) {
+                settled = true;
+                clearTimeout(timer);
+                listener.dispose();
+                cancellation.dispose();
+                resolve(result);
+            }
+        };
+        const check = (event: vscode.TaskProcessEndEvent) => {
+            if (execution && event.execution === execution) {
+                log(`  exit code ${event.exitCode}`);
+                finish(event.exitCode === 0);
+            }
+        };
+        const listener = vscode.tasks.onDidEndTaskProcess(event => {
+            ended.push(event);
+            check(event);
+        });
+        const cancellation = token.onCancellationRequested(() => {
+            log('  cancelled');
+            execution?.terminate();
+            finish(undefined);
+        });
+        const timer = timeoutSeconds > 0
+            ? setTimeout(() => {
+                log(`  timed out after ${timeoutSeconds} s`);
+                execution?.terminate();
+                finish(false);
+            }, timeoutSeconds * 1000)
+            : undefined;
+
+        vscode.tasks.executeTask(task).then(started => {
+            execution = started;
+            if (settled) {
+                // Timed out or cancelled before the task had started
+                started.terminate();
+                return;
+            }
+            ended.forEach(check);
+        }, error => {
+            clearTimeout(timer);
+            listener.dispose();
+            cancellation.dispose();
+            reject(error);
+        });
+    });
+}
@@ -0,0 +1,69 @@
+import * as child_process from 'child_process';
+
+// Runs the verification command of the verification settings. Kept free of the VS Code API like the core,
+// so it can be tested on its own. Resolves to whether the command passed, or undefined when signal aborted it.
+// Output goes to log line by line
+export function runVerificationCommand(
+    command: string,
+    cwd: string,
+    timeoutSeconds: number,
+    log: (line: string) => void,
+    signal: AbortSignal
+): Promise<boolean | undefined> {
+    log(`Verifying: ${command}  (${cwd})`);
+    if (signal.aborted) {
+        return Promise.resolve(undefined);
+    }
+    return new Promise(resolve => {
+        // The command comes from the user's own settings and may use pipes or &&, so it needs a shell.
+        // Outside Windows it gets its own process group, so stopping it stops npm, test runners and the like too
+        const ownGroup = process.platform !== 'win32';
+        const child = child_process.spawn(command, { cwd, shell: true, windowsHide: true, detached: ownGroup });
+        const stop = () => {
+            try {
+                if (ownGroup && child.pid) {
+                    process.kill(-child.pid);
+                } else {
+                    child.kill();
+                }
+            } catch {
+                // Already exited
+            }
+        };
+        let settled = false;
+        const finish = (result: boolean | undefined) => {
+            if (!settled) {
+                settled = true;
+                clearTimeout(timer);
+                signal.removeEventListener('abort', cancel);
+                resolve(result);
+            }
+        };
+
+        const timer = timeoutSeconds > 0
+            ? setTimeout(() => {
+                log(`  timed out after ${timeoutSeconds} s`);
+                stop();
+                finish(false);
+            }, timeoutSeconds * 1000)
+            : undefined;
+        const cancel = () => {
+            log('  cancelled');
+            stop();
+            finish(undefined);
+        };
+        signal.addEventListener('abort', cancel);
+
+        const forward = (data: Buffer) => data.toString().split(/\r?\n/).filter(line => line).forEach(line => log(`  ${line}`));
+        child.stdout.on('data', forward);
+        child.stderr.on('data', forward);
+        child.on('error', error => {
+            log(`  could not start: ${error.message}`);
+            finish(false);
+        });
+        child.on('close', code => {
+            log(`  exit code ${code}`);
+            finish(code === 0);
+        });
+    });
+}